@@ -0,0 +1,282 @@
+// MCAnimatedText.js
+// 애니메이션 텍스트: MCFontRenderer 위에서 타이틀/대화창용 글자 효과
+// - layout은 한 번만 계산, 매 frame 글자별 오프셋/색/타일만 바꿔서 drawLayout()
+// - Typewriter: 글자(cluster) 단위로 원문 순서대로 표시, 다 나오면 onDone()
+// - Rainbow: 글자마다 색상(hue)을 밀어가며 순환
+// - Wave: 사인파 세로 오프셋
+// - Shake: 글자별 임의 흔들림
+// - §k(obfuscated) 글자: 같은 advance의 임의 타일로 계속 바뀜
+// - 시간은 render(now)로 직접 주거나(Node/자체 루프), start()로 내부 requestAnimationFrame 루프
+//
+// constructor(renderer, text | component, options):
+//   - x, y       : 캔버스 px (default 0, 0)
+//   - anchor     : drawText()와 같음 (default 'top-left')
+//   - scale      : number (default 2)
+//   - shadow, outline, background: draw()와 같음 (default 그림자만)
+//   - typewriter : true | { cps = 30(초당 글자), delay = 0(초), onDone } (default null)
+//   - rainbow    : true | { speed = 0.5(초당 바퀴), spread = 0.05(글자당 hue), saturation = 1, value = 1 }
+//   - wave       : true | { amplitude = 1(px × scale), wavelength = 12(글자), speed = 1(초당 주기) }
+//   - shake      : true | { amplitude = 1(px × scale), rate = 20(초당 변경) }
+//   - obfuscateRate: §k 글자 초당 변경 횟수 (default 20, 바닐라 tick)
+//   - 나머지(mode, font, formatting, color, maxWidth, ...)는 layout()에 전달
+//
+// setText(text, opts) → Promise: 다시 배치하고 처음부터 (opts는 layout 옵션 덮어쓰기), 실패하면 reject하고 이전 텍스트 유지
+// restart(now) / skip(): typewriter 처음부터 / 전부 표시
+// render(now) → Promise: 진행 중인 beginFrame()이 있으면 거기에 추가, 없으면 draw()처럼 frame 하나로 렌더
+// start() / stop(): requestAnimationFrame 루프
+
+import { upperBound } from './MCLayoutUtils.js';
+
+export class AnimatedText {
+    constructor(renderer, text, {
+        x = 0,
+        y = 0,
+        anchor = 'top-left',
+        scale = 2,
+        shadow,
+        outline,
+        background,
+        typewriter = null,
+        rainbow = null,
+        wave = null,
+        shake = null,
+        obfuscateRate = 20,
+        ...textOpts
+    } = {}) {
+        this.renderer = renderer;
+        this.x = x;
+        this.y = y;
+        this.anchor = anchor;
+        this.scale = scale;
+        this.shadow = shadow;
+        this.outline = outline;
+        this.background = background;
+        this.typewriter = effect(typewriter, {
+            cps: 30,
+            delay: 0,
+            onDone: null
+        });
+        this.rainbow = effect(rainbow, {
+            speed: 0.5,
+            spread: 0.05,
+            saturation: 1,
+            value: 1
+        });
+        this.wave = effect(wave, {
+            amplitude: 1,
+            wavelength: 12,
+            speed: 1
+        });
+        this.shake = effect(shake, {
+            amplitude: 1,
+            rate: 20
+        });
+        this.obfuscateRate = obfuscateRate;
+        this.textOpts = textOpts;
+
+        this.layout = null;
+        this.length = 0; // 글자(cluster) 수
+        this.done = false; // typewriter가 끝났는지 (typewriter 없으면 항상 true)
+        this._charOf = null; // quad → 글자 순번(원문 순서)
+        this._startTime = 0;
+        this._skipped = false;
+        this._tick = {
+            shake: -1,
+            obfuscate: -1
+        };
+        this._jitter = null; // 글자별 [dx, dy] (shake tick마다)
+        this._tiles = new Map(); // 원문 위치 → §k 타일 (obfuscate tick마다)
+        this._raf = 0;
+        this.setText(text).catch(() => {}); // 실패하면 render()가 그리지 않음
+    }
+
+    // ------------------------- Text -------------------------
+    // 실패하면(모르는 폰트 등) 이전 layout 그대로, 실패는 돌려준 promise로만
+    setText(text, opts = {}) {
+        this.textOpts = {
+            ...this.textOpts,
+            ...opts
+        };
+        const job = this.renderer.layout(text, {
+            ...this.textOpts,
+            scale: this.scale
+        }).then(layout => {
+            // 글자 시작 위치(원문 기준, 정렬) → quad마다 속한 글자 순번
+            const starts = [...new Set(layout.lines.flatMap(l => l.chars.map(c => c.index)))].sort((a, b) => a - b);
+            this._charOf = Int32Array.from(layout.quads, q => Math.max(0, upperBound(starts, q.index) - 1));
+            this.layout = layout;
+            this.length = starts.length;
+            this.restart();
+        });
+        this._job = job.then(() => {}, () => {});
+        return job;
+    }
+
+    restart(now = performance.now()) {
+        this._startTime = now;
+        this._skipped = false;
+        this._tick.shake = this._tick.obfuscate = -1;
+        this.done = !this.typewriter;
+    }
+
+    skip() {
+        this._skipped = true;
+    }
+
+    // ------------------------- Render -------------------------
+    async render(now = performance.now()) {
+        await this._job;
+        if (!this.layout)
+            return;
+
+        const r = this.renderer;
+        const own = !r._frame;
+        if (own)
+            r.beginFrame();
+
+        const layout = this.layout;
+        const ax = /left/.test(this.anchor) ? 0 : /right/.test(this.anchor) ? 1 : 0.5;
+        const ay = /top/.test(this.anchor) ? 0 : /bottom/.test(this.anchor) ? 1 : 0.5;
+        r.drawLayout({
+            lines: layout.lines,
+            quads: this._frameQuads((now - this._startTime) / 1000)
+        }, {
+            x: Math.round(this.x - layout.width * ax),
+            y: Math.round(this.y - layout.height * ay),
+            scale: this.scale,
+            shadow: this.shadow,
+            outline: this.outline,
+            background: this.background
+        });
+
+        if (own)
+            await r.endFrame();
+    }
+
+    start() {
+        if (this._raf)
+            return;
+        let busy = false;
+        const loop = (now) => {
+            this._raf = requestAnimationFrame(loop);
+            if (busy)
+                return;
+            busy = true;
+            const done = () => busy = false;
+            this.render(now).then(done, done);
+        };
+        this._raf = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        cancelAnimationFrame(this._raf);
+        this._raf = 0;
+    }
+
+    // t(초)에서의 quads: 원본 layout quad는 그대로 두고 바뀌는 것만 복사
+    _frameQuads(t) {
+        const {
+            typewriter,
+            rainbow,
+            wave,
+            shake
+        } = this;
+        const s = this.scale;
+        const quads = this.layout.quads;
+
+        // typewriter: 보이는 글자 수
+        let shown = this.length;
+        if (typewriter && !this._skipped)
+            shown = Math.min(this.length, Math.max(0, Math.floor((t - typewriter.delay) * typewriter.cps)));
+        if (typewriter && !this.done && shown >= this.length) {
+            this.done = true;
+            typewriter.onDone?.(this);
+        }
+
+        // shake: rate마다 글자별 오프셋 다시 뽑기
+        if (shake) {
+            const tick = Math.floor(t * shake.rate);
+            if (tick !== this._tick.shake) {
+                this._tick.shake = tick;
+                const amp = shake.amplitude * s;
+                this._jitter = Int16Array.from({
+                    length: this.length * 2
+                }, () => Math.round((Math.random() * 2 - 1) * amp));
+            }
+        }
+
+        // §k: obfuscateRate마다 글자별 타일 다시 뽑기 (굵게 2장은 같은 타일)
+        const tick = Math.floor(t * this.obfuscateRate);
+        const reroll = tick !== this._tick.obfuscate;
+        if (reroll) {
+            this._tick.obfuscate = tick;
+            this._tiles.clear();
+        }
+
+        const out = [];
+        for (let k = 0; k < quads.length; k++) {
+            const n = this._charOf[k];
+            if (n >= shown)
+                continue;
+            let q = quads[k];
+            let dx = 0,
+            dy = 0;
+            if (wave)
+                dy += Math.round(Math.sin((t * wave.speed - n / wave.wavelength) * Math.PI * 2) * wave.amplitude * s);
+            if (shake) {
+                dx += this._jitter[n * 2];
+                dy += this._jitter[n * 2 + 1];
+            }
+            if (dx || dy || rainbow || q.tile != null)
+                q = {
+                    ...q,
+                    x: q.x + dx,
+                    y: q.y + dy
+                };
+            if (rainbow) {
+                const rgb = hsv((t * rainbow.speed + n * rainbow.spread) % 1, rainbow.saturation, rainbow.value);
+                q.color = rgb;
+                q.shadowColor = this.renderer._shadowOf(rgb);
+            }
+            if (q.tile != null) {
+                if (!this._tiles.has(q.index))
+                    this._tiles.set(q.index, reroll ? this.renderer._obfuscate(q.pack, q.tile) : q.tile);
+                Object.assign(q, tileUV(q.pack, this._tiles.get(q.index)));
+            }
+            out.push(q);
+        }
+        return out;
+    }
+}
+
+// true → 기본값, 객체 → 기본값 덮어쓰기, 그 외 → 효과 없음
+function effect(value, defaults) {
+    if (!value)
+        return null;
+    return value === true ? defaults : {
+        ...defaults,
+        ...value
+    };
+}
+
+// 16×16 격자 atlas의 타일 UV
+function tileUV(pack, idx) {
+    const cx = idx % 16,
+    cy = (idx / 16) | 0;
+    return {
+        u0: (cx * pack.tileW) / pack.w,
+        v0: (cy * pack.tileH) / pack.h,
+        u1: ((cx + 1) * pack.tileW) / pack.w,
+        v1: ((cy + 1) * pack.tileH) / pack.h
+    };
+}
+
+// h, s, v: 0~1 → [r, g, b]
+function hsv(h, s, v) {
+    const i = Math.floor(h * 6),
+    f = h * 6 - i;
+    const p = v * (1 - s),
+    q = v * (1 - f * s),
+    t = v * (1 - (1 - f) * s);
+    return [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][i % 6];
+}
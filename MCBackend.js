@@ -0,0 +1,665 @@
+// MCBackend.js
+// MCFontRenderer 렌더 backend: frame(알파 마스크 span 목록) → 캔버스 픽셀
+// - WebGL2Backend : TEXTURE_2D_ARRAY 한 장 + drawArrays 한 번
+// - Canvas2DBackend: 같은 span을 소프트웨어로 래스터화 → putImageData (WebGL2가 없을 때)
+//
+// backend interface:
+//   - name            : 'webgl2' | 'canvas2d' | ...
+//   - init(canvas)    : context를 얻으면 true, 못 얻으면 false (다음 후보로)
+//   - resize(W, H)    : 캔버스 backing 크기가 바뀔 때
+//   - render(frame)   : frame { clear:[r, g, b, a], items:[{ quads, under?, dx?, dy?, alpha? }] }
+//                       item 순서대로, item마다 under pass(그림자/외곽선) → 본문(color)
+//                       under: [{ x, y, color?, alpha? }] 이동량(px), color 없으면 quad의 shadowColor
+//   - releasePack(pack): (선택) glyph cache가 정리한 pack의 GPU 자원 반납, 다시 그리면 새로 올림
+//
+// WebGL2WorldBackend: 호출자의 WebGL2 context(three.js/엔진)에 frame을 3D 평면으로 (drawWorld())
+//   - init(gl)              : 캔버스 대신 context, 자기 program/VAO/texture array를 따로 가짐
+//   - render(frame, world)  : clear 없이 world { viewProj, origin, right, up, depthTest, seeThrough }로 그리고
+//                             건드린 GL 상태(program, VAO, buffer, texture, blend, depth, cull, pixelStore)는 원래대로
+//
+// quad: { pack, x, y, w, h, u0, v0, u1, v1, color, shadowColor, skew }
+//   - pack.src(캔버스)의 알파만 마스크로 쓰고 색은 quad 색 (premultiplied 합성)
+//   - skew: italic, 위쪽 가장자리 +skew/2, 아래쪽 -skew/2
+
+// frame의 quad를 그리는 순서대로 (quad, x, y, color, alpha)
+function eachQuad(frame, fn) {
+    for (const item of frame.items) {
+        const dx = item.dx ?? 0,
+        dy = item.dy ?? 0,
+        alpha = item.alpha ?? 1;
+        for (const pass of item.under ?? [])
+            for (const q of item.quads)
+                fn(q, dx + pass.x + q.x, dy + pass.y + q.y, pass.color ?? q.shadowColor, alpha * (pass.alpha ?? 1));
+        for (const q of item.quads)
+            fn(q, dx + q.x, dy + q.y, q.color, alpha);
+    }
+}
+
+// alpha mask(texture array) → vertex color, premultiplied 출력 (화면/월드 공통)
+const MASK_FS = `#version 300 es
+precision mediump float;
+precision mediump sampler2DArray;
+uniform sampler2DArray uTex;
+in vec2 vUV;
+flat in float vLayer;
+in vec4 vColor;
+out vec4 outColor;
+void main(){
+  float a = texture(uTex, vec3(vUV, vLayer)).a;
+  a *= vColor.a;
+  outColor = vec4(vColor.rgb * a, a);
+}`;
+
+// ---------------------- WebGL2 ----------------------
+export class WebGL2Backend {
+    constructor() {
+        this.name = 'webgl2';
+        this.gl = null;
+        this.program = null;
+        this.loc = {};
+        this.vbo = null;
+        this.vao = null;
+        this.width = 0;
+        this.height = 0;
+
+        // TEXTURE_2D_ARRAY: layer마다 pack 여러 개를 선반(shelf)처럼 채움 (크기/개수는 필요할 때 늘리고 다시 업로드)
+        // 작은 pack(대체 타일, 1x1 단색)이 layer 하나를 통째로 쓰지 않게
+        this.texArray = null;
+        this.layerSize = 256;
+        this.layerCap = 8;
+        this.layers = []; // layer index → { shelves: [{ y, h, x }], free: [반납된 자리], used: pack 수 }
+        this.slotOf = new Map(); // pack → { layer, x, y, w, h } (pack은 여러 renderer/backend가 공유할 수 있음)
+        this._verts = new Float32Array(0); // 프레임마다 재사용하는 vertex buffer
+    }
+
+    init(canvas) {
+        const gl = canvas.getContext('webgl2', {
+            alpha: true, // beginFrame({ transparent })
+            antialias: false,
+            preserveDrawingBuffer: true
+        });
+        if (!gl)
+            return false;
+        this.gl = gl;
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA); // premultiplied
+
+        // Minimal shader (캔버스 px → clip)
+        const vs = `#version 300 es
+precision mediump float;
+layout(location=0) in vec2 aPos;
+layout(location=1) in vec2 aUV;
+layout(location=2) in float aLayer;
+layout(location=3) in vec4 aColor;
+uniform vec2 uRes;
+out vec2 vUV;
+flat out float vLayer;
+out vec4 vColor;
+void main(){
+  vec2 p = aPos / uRes * 2.0 - 1.0;
+  p.y = -p.y;
+  gl_Position = vec4(p, 0.0, 1.0);
+  vUV = aUV;
+  vLayer = aLayer;
+  vColor = aColor;
+}`;
+
+        this.program = this._makeProgram(vs, MASK_FS);
+        this.loc.uRes = gl.getUniformLocation(this.program, 'uRes');
+        this.loc.uTex = gl.getUniformLocation(this.program, 'uTex');
+        this._initVertexArray();
+        return true;
+    }
+
+    // VAO + vertex buffer (attribute 배치는 VERTEX_FLOATS 순서)
+    _initVertexArray() {
+        const gl = this.gl;
+        this.vao = gl.createVertexArray();
+        gl.bindVertexArray(this.vao);
+
+        this.vbo = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
+
+        // vertex: pos(2) uv(2) layer(1) color(4)
+        const stride = WebGL2Backend.VERTEX_FLOATS * 4;
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, stride, 0);
+
+        gl.enableVertexAttribArray(1);
+        gl.vertexAttribPointer(1, 2, gl.FLOAT, false, stride, 8);
+
+        gl.enableVertexAttribArray(2);
+        gl.vertexAttribPointer(2, 1, gl.FLOAT, false, stride, 16);
+
+        gl.enableVertexAttribArray(3);
+        gl.vertexAttribPointer(3, 4, gl.FLOAT, false, stride, 20);
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.gl.viewport(0, 0, width, height);
+    }
+
+    // 모든 pack이 한 texture array에 있으므로 vertex를 한 번에 쌓아 drawArrays 한 번
+    render(frame) {
+        const gl = this.gl;
+        const p = this._fillVerts(frame);
+
+        // Render
+        const c = frame.clear;
+        gl.clearColor(c[0], c[1], c[2], c[3]);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        if (!p)
+            return;
+        gl.useProgram(this.program);
+        gl.bindVertexArray(this.vao);
+        gl.uniform2f(this.loc.uRes, this.width, this.height);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.texArray);
+        gl.uniform1i(this.loc.uTex, 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
+        gl.bufferData(gl.ARRAY_BUFFER, this._verts.subarray(0, p), gl.DYNAMIC_DRAW);
+        gl.drawArrays(gl.TRIANGLES, 0, p / WebGL2Backend.VERTEX_FLOATS);
+    }
+
+    // frame → this._verts (pos는 frame 좌표 px), 채운 float 수 반환
+    _fillVerts(frame) {
+        // layer 배정 먼저 (layer 크기가 바뀌면 UV 배율도 바뀜)
+        let count = 0;
+        for (const item of frame.items) {
+            for (const q of item.quads)
+                this._packSlot(q.pack);
+            count += item.quads.length * (1 + (item.under?.length ?? 0));
+        }
+
+        const F = WebGL2Backend.VERTEX_FLOATS;
+        const need = count * 6 * F;
+        if (this._verts.length < need)
+            this._verts = new Float32Array(Math.max(need, this._verts.length * 2));
+        const v = this._verts,
+        L = this.layerSize;
+        let p = 0;
+
+        const vert = (x, y, u, t, layer, c, alpha) => {
+            v[p] = x;
+            v[p + 1] = y;
+            v[p + 2] = u;
+            v[p + 3] = t;
+            v[p + 4] = layer;
+            v[p + 5] = c[0];
+            v[p + 6] = c[1];
+            v[p + 7] = c[2];
+            v[p + 8] = (c[3] ?? 1) * alpha;
+            p += F;
+        };
+        eachQuad(frame, (q, x0, y0, color, alpha) => {
+            // pack UV(0..1) → layer UV (pack은 layer 안 slot 자리에 놓임)
+            const slot = this.slotOf.get(q.pack);
+            const su = q.pack.w / L,
+            sv = q.pack.h / L;
+            const ou = slot.x / L,
+            ov = slot.y / L;
+            const u0 = ou + q.u0 * su,
+            u1 = ou + q.u1 * su,
+            v0 = ov + q.v0 * sv,
+            v1 = ov + q.v1 * sv;
+            const x1 = x0 + q.w,
+            y1 = y0 + q.h;
+            const layer = slot.layer;
+            // italic: 위쪽은 오른쪽, 아래쪽은 왼쪽으로 기울임
+            const st = q.skew / 2;
+            vert(x0 + st, y0, u0, v0, layer, color, alpha);
+            vert(x1 + st, y0, u1, v0, layer, color, alpha);
+            vert(x0 - st, y1, u0, v1, layer, color, alpha);
+            vert(x0 - st, y1, u0, v1, layer, color, alpha);
+            vert(x1 + st, y0, u1, v0, layer, color, alpha);
+            vert(x1 - st, y1, u1, v1, layer, color, alpha);
+        });
+        return p;
+    }
+
+    // ---------------------- Texture Array ----------------------
+    // pack → slot 지연 배정 (layout만 쓸 때는 GL을 건드리지 않음)
+    _packSlot(pack) {
+        let slot = this.slotOf.get(pack);
+        if (slot)
+            return slot;
+        let size = this.layerSize;
+        while (size < Math.max(pack.w, pack.h))
+            size *= 2;
+        if (size !== this.layerSize) {
+            // layer가 커지면 남아 있는 pack까지 전부 다시 배치
+            this._repack(size, [...this.slotOf.keys(), pack]);
+            return this.slotOf.get(pack);
+        }
+        slot = this._place(pack);
+        let cap = this.layerCap;
+        while (cap < this.layers.length)
+            cap *= 2;
+        if (!this.texArray || cap !== this.layerCap)
+            this._allocTexArray(size, cap); // 기존 pack도 전부 다시 업로드
+        else
+            this._uploadSlot(pack);
+        return slot;
+    }
+
+    // 빈 자리를 찾아 slot 배정: 반납된 자리 → 높이가 맞는 선반 끝 → 새 선반 → 새 layer
+    // (간격 없음: atlas 안의 타일끼리처럼 NEAREST + 텍셀 경계 UV라 이웃 pack이 번지지 않음)
+    _place(pack) {
+        const S = this.layerSize;
+        const w = pack.w,
+        h = pack.h;
+        const take = (layer, x, y, sw, sh) => {
+            const slot = {
+                layer,
+                x,
+                y,
+                w: sw,
+                h: sh
+            };
+            this.layers[layer].used++;
+            this.slotOf.set(pack, slot);
+            return slot;
+        };
+        for (let layer = 0; layer < this.layers.length; layer++) {
+            const L = this.layers[layer];
+            const k = L.free.findIndex(r => r.w >= w && r.h >= h);
+            if (k >= 0) {
+                const r = L.free.splice(k, 1)[0];
+                return take(layer, r.x, r.y, r.w, r.h);
+            }
+            for (const shelf of L.shelves)
+                if (h <= shelf.h && shelf.x + w <= S) {
+                    shelf.x += w;
+                    return take(layer, shelf.x - w, shelf.y, w, shelf.h);
+                }
+            const top = L.shelves.reduce((y, shelf) => Math.max(y, shelf.y + shelf.h), 0);
+            if (top + h <= S) {
+                L.shelves.push({
+                    y: top,
+                    h,
+                    x: w
+                });
+                return take(layer, 0, top, w, h);
+            }
+        }
+        this.layers.push({
+            shelves: [{
+                    y: 0,
+                    h,
+                    x: w
+                }
+            ],
+            free: [],
+            used: 0
+        });
+        return take(this.layers.length - 1, 0, 0, w, h);
+    }
+
+    // layer 크기를 바꾸고 pack들을 처음부터 (큰 것부터) 다시 배치 → 새 texture array
+    _repack(size, packs) {
+        this.layerSize = size;
+        this.layers = [];
+        this.slotOf.clear();
+        for (const pack of packs.sort((a, b) => b.h - a.h))
+            this._place(pack);
+        let cap = this.layerCap;
+        while (cap < this.layers.length)
+            cap *= 2;
+        this._allocTexArray(size, cap);
+    }
+
+    // 자리만 반납 (texture array 크기는 그대로, 다음 pack이 덮어씀), layer가 통째로 비면 선반도 처음부터
+    releasePack(pack) {
+        const slot = this.slotOf.get(pack);
+        if (!slot)
+            return;
+        this.slotOf.delete(pack);
+        const L = this.layers[slot.layer];
+        if (--L.used === 0) {
+            L.shelves = [];
+            L.free = [];
+        } else
+            L.free.push(slot);
+    }
+
+    _allocTexArray(size, cap) {
+        const gl = this.gl;
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxLayers = gl.getParameter(gl.MAX_ARRAY_TEXTURE_LAYERS);
+        if (size > maxSize || this.layers.length > maxLayers)
+            throw new Error(`Texture array limit exceeded (${size}px × ${this.layers.length} layers)`);
+        cap = Math.min(cap, maxLayers);
+
+        if (this.texArray)
+            gl.deleteTexture(this.texArray);
+        this.layerSize = size;
+        this.layerCap = cap;
+        this.texArray = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.texArray);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage3D(gl.TEXTURE_2D_ARRAY, 0, gl.RGBA, size, size, cap, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        for (const pack of this.slotOf.keys())
+            this._uploadSlot(pack);
+    }
+
+    _uploadSlot(pack) {
+        const gl = this.gl;
+        const slot = this.slotOf.get(pack);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.texArray);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.texSubImage3D(gl.TEXTURE_2D_ARRAY, 0, slot.x, slot.y, slot.layer, pack.w, pack.h, 1, gl.RGBA, gl.UNSIGNED_BYTE, pack.src);
+    }
+
+    // ---------------------- GL Utils ----------------------
+    _makeProgram(vsSrc, fsSrc) {
+        const gl = this.gl;
+        const comp = (type, src) => {
+            const s = gl.createShader(type);
+            gl.shaderSource(s, src);
+            gl.compileShader(s);
+            if (!gl.getShaderParameter(s, gl.COMPILE_STATUS))
+                throw new Error(gl.getShaderInfoLog(s));
+            return s;
+        };
+        const p = gl.createProgram();
+        gl.attachShader(p, comp(gl.VERTEX_SHADER, vsSrc));
+        gl.attachShader(p, comp(gl.FRAGMENT_SHADER, fsSrc));
+        gl.linkProgram(p);
+        if (!gl.getProgramParameter(p, gl.LINK_STATUS))
+            throw new Error(gl.getProgramInfoLog(p));
+        return p;
+    }
+}
+
+// vertex 하나당 float 수: pos(2) + uv(2) + layer(1) + color(4)
+WebGL2Backend.VERTEX_FLOATS = 9;
+
+// ---------------------- WebGL2 World ----------------------
+// 호출자의 render loop 안에서 텍스트를 3D 평면으로: 위치 = origin + right × x − up × y (x, y = frame px)
+// right/up은 frame px 하나의 world 벡터 (billboard/크기 계산은 drawWorld())
+export class WebGL2WorldBackend extends WebGL2Backend {
+    constructor() {
+        super();
+        this.name = 'webgl2-world';
+    }
+
+    // gl: 호출자의 WebGL2RenderingContext (GL 객체는 context끼리 공유되지 않으므로 context마다 하나)
+    init(gl) {
+        if (typeof gl?.texImage3D !== 'function')
+            return false;
+        this.gl = gl;
+
+        const vs = `#version 300 es
+precision highp float;
+layout(location=0) in vec2 aPos;
+layout(location=1) in vec2 aUV;
+layout(location=2) in float aLayer;
+layout(location=3) in vec4 aColor;
+uniform mat4 uViewProj;
+uniform vec3 uOrigin;
+uniform vec3 uRight;
+uniform vec3 uUp;
+uniform float uAlpha;
+out vec2 vUV;
+flat out float vLayer;
+out vec4 vColor;
+void main(){
+  vec3 p = uOrigin + uRight * aPos.x - uUp * aPos.y;
+  gl_Position = uViewProj * vec4(p, 1.0);
+  vUV = aUV;
+  vLayer = aLayer;
+  vColor = vec4(aColor.rgb, aColor.a * uAlpha);
+}`;
+
+        this.program = this._makeProgram(vs, MASK_FS);
+        for (const name of ['uViewProj', 'uOrigin', 'uRight', 'uUp', 'uAlpha', 'uTex'])
+            this.loc[name] = gl.getUniformLocation(this.program, name);
+
+        // VAO 만들 때 바뀌는 binding도 호출자 것으로 되돌림
+        const vao = gl.getParameter(gl.VERTEX_ARRAY_BINDING),
+        buffer = gl.getParameter(gl.ARRAY_BUFFER_BINDING);
+        this._initVertexArray();
+        gl.bindVertexArray(vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        return true;
+    }
+
+    // viewport는 호출자 것을 그대로 씀
+    resize() {}
+
+    // frame.clear는 무시 (호출자의 장면 위에 그림)
+    //   - world.viewProj  : column-major 4×4 (16개)
+    //   - world.origin    : [x, y, z], frame (0, 0)의 위치
+    //   - world.right/up  : frame px 하나의 world 벡터 (x는 right, y는 −up 방향)
+    //   - world.depthTest : 장면 depth로 가림 (LEQUAL, depth는 쓰지 않음)
+    //   - world.seeThrough: 0보다 크면 그 투명도로 depth 무시 pass를 먼저 (벽 너머 이름표)
+    render(frame, world) {
+        const gl = this.gl;
+        const saved = this._saveState();
+        try {
+            // texture 업로드가 호출자의 pixelStore/unpack buffer 영향을 받지 않게
+            gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, null);
+            for (const [name, value] of WebGL2WorldBackend.UNPACK_DEFAULTS)
+                gl.pixelStorei(gl[name], value);
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindSampler(0, null);
+
+            const p = this._fillVerts(frame);
+            if (!p)
+                return;
+            gl.useProgram(this.program);
+            gl.bindVertexArray(this.vao);
+            gl.uniformMatrix4fv(this.loc.uViewProj, false, world.viewProj);
+            gl.uniform3fv(this.loc.uOrigin, world.origin);
+            gl.uniform3fv(this.loc.uRight, world.right);
+            gl.uniform3fv(this.loc.uUp, world.up);
+            gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.texArray);
+            gl.uniform1i(this.loc.uTex, 0);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
+            gl.bufferData(gl.ARRAY_BUFFER, this._verts.subarray(0, p), gl.DYNAMIC_DRAW);
+
+            gl.enable(gl.BLEND);
+            gl.blendEquation(gl.FUNC_ADD);
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA); // premultiplied
+            gl.disable(gl.CULL_FACE); // billboard 뒷면도
+            gl.depthMask(false); // 반투명 글자/판이 서로 가리지 않게
+
+            const n = p / WebGL2Backend.VERTEX_FLOATS;
+            if (world.seeThrough > 0) {
+                gl.disable(gl.DEPTH_TEST);
+                gl.uniform1f(this.loc.uAlpha, world.seeThrough);
+                gl.drawArrays(gl.TRIANGLES, 0, n);
+            }
+            if (world.depthTest) {
+                gl.enable(gl.DEPTH_TEST);
+                gl.depthFunc(gl.LEQUAL);
+            } else
+                gl.disable(gl.DEPTH_TEST);
+            gl.uniform1f(this.loc.uAlpha, 1);
+            gl.drawArrays(gl.TRIANGLES, 0, n);
+        } finally {
+            this._restoreState(saved);
+        }
+    }
+
+    // ---------------------- GL State ----------------------
+    // render()가 바꾸는 상태만 저장 (three.js처럼 상태를 캐시하는 엔진도 그대로 이어서 그릴 수 있게)
+    _saveState() {
+        const gl = this.gl;
+        const W = WebGL2WorldBackend;
+        const state = {};
+        for (const name of W.SAVED_PARAMS)
+            state[name] = gl.getParameter(gl[name]);
+        for (const name of W.SAVED_CAPS)
+            state[name] = gl.isEnabled(gl[name]);
+        for (const [name] of W.UNPACK_DEFAULTS)
+            state[name] = gl.getParameter(gl[name]);
+        // texture/sampler는 unit 0 것만 씀
+        gl.activeTexture(gl.TEXTURE0);
+        state.texture = gl.getParameter(gl.TEXTURE_BINDING_2D_ARRAY);
+        state.sampler = gl.getParameter(gl.SAMPLER_BINDING);
+        return state;
+    }
+
+    _restoreState(state) {
+        const gl = this.gl;
+        const W = WebGL2WorldBackend;
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, state.texture);
+        gl.bindSampler(0, state.sampler);
+        gl.activeTexture(state.ACTIVE_TEXTURE);
+        gl.useProgram(state.CURRENT_PROGRAM);
+        gl.bindVertexArray(state.VERTEX_ARRAY_BINDING);
+        gl.bindBuffer(gl.ARRAY_BUFFER, state.ARRAY_BUFFER_BINDING);
+        gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, state.PIXEL_UNPACK_BUFFER_BINDING);
+        gl.blendEquationSeparate(state.BLEND_EQUATION_RGB, state.BLEND_EQUATION_ALPHA);
+        gl.blendFuncSeparate(state.BLEND_SRC_RGB, state.BLEND_DST_RGB, state.BLEND_SRC_ALPHA, state.BLEND_DST_ALPHA);
+        gl.depthFunc(state.DEPTH_FUNC);
+        gl.depthMask(state.DEPTH_WRITEMASK);
+        for (const name of W.SAVED_CAPS) {
+            if (state[name])
+                gl.enable(gl[name]);
+            else
+                gl.disable(gl[name]);
+        }
+        for (const [name] of W.UNPACK_DEFAULTS)
+            gl.pixelStorei(gl[name], state[name]);
+    }
+}
+
+// render()가 저장/복원하는 getParameter 값과 enable 상태
+WebGL2WorldBackend.SAVED_PARAMS = [
+    'CURRENT_PROGRAM', 'VERTEX_ARRAY_BINDING', 'ARRAY_BUFFER_BINDING', 'PIXEL_UNPACK_BUFFER_BINDING', 'ACTIVE_TEXTURE',
+    'BLEND_EQUATION_RGB', 'BLEND_EQUATION_ALPHA', 'BLEND_SRC_RGB', 'BLEND_DST_RGB', 'BLEND_SRC_ALPHA', 'BLEND_DST_ALPHA',
+    'DEPTH_FUNC', 'DEPTH_WRITEMASK'
+];
+WebGL2WorldBackend.SAVED_CAPS = ['BLEND', 'DEPTH_TEST', 'CULL_FACE'];
+
+// 업로드 동안의 pixelStore 값 (끝나면 호출자 값으로)
+WebGL2WorldBackend.UNPACK_DEFAULTS = [
+    ['UNPACK_FLIP_Y_WEBGL', false],
+    ['UNPACK_PREMULTIPLY_ALPHA_WEBGL', false],
+    ['UNPACK_COLORSPACE_CONVERSION_WEBGL', 0x9244], // BROWSER_DEFAULT_WEBGL
+    ['UNPACK_ALIGNMENT', 4],
+    ['UNPACK_ROW_LENGTH', 0],
+    ['UNPACK_IMAGE_HEIGHT', 0],
+    ['UNPACK_SKIP_PIXELS', 0],
+    ['UNPACK_SKIP_ROWS', 0],
+    ['UNPACK_SKIP_IMAGES', 0]
+];
+
+// ---------------------- Software ----------------------
+// frame → premultiplied RGBA 버퍼 { data: Uint8ClampedArray, width, height }
+// GL과 같은 규칙: 픽셀 중심이 quad 안(왼쪽/위 포함, 오른쪽/아래 제외)이면 칠하고,
+// 텍셀은 NEAREST, 합성은 ONE / ONE_MINUS_SRC_ALPHA
+export function rasterize(frame, target) {
+    const {
+        data,
+        width,
+        height
+    } = target;
+
+    const c = frame.clear;
+    const cr = c[0] * 255,
+    cg = c[1] * 255,
+    cb = c[2] * 255,
+    ca = c[3] * 255;
+    for (let p = 0; p < data.length; p += 4) {
+        data[p] = cr;
+        data[p + 1] = cg;
+        data[p + 2] = cb;
+        data[p + 3] = ca;
+    }
+
+    eachQuad(frame, (q, x0, y0, color, alpha) => {
+        const a0 = (color[3] ?? 1) * alpha;
+        if (a0 <= 0 || q.w <= 0 || q.h <= 0)
+            return;
+        const r = color[0] * 255,
+        g = color[1] * 255,
+        b = color[2] * 255;
+        const {
+            alpha: mask,
+            width: tw,
+            height: th
+        } = q.pack.scan;
+        const st = q.skew / 2;
+
+        const j0 = Math.max(0, Math.ceil(y0 - 0.5)),
+        j1 = Math.min(height, Math.ceil(y0 + q.h - 0.5));
+        for (let j = j0; j < j1; j++) {
+            const fy = (j + 0.5 - y0) / q.h;
+            const left = x0 + st - 2 * st * fy; // italic: 행마다 가로 이동
+            const ty = Math.min(th - 1, Math.floor((q.v0 + (q.v1 - q.v0) * fy) * th));
+            const i0 = Math.max(0, Math.ceil(left - 0.5)),
+            i1 = Math.min(width, Math.ceil(left + q.w - 0.5));
+            for (let i = i0; i < i1; i++) {
+                const fx = (i + 0.5 - left) / q.w;
+                const tx = Math.min(tw - 1, Math.floor((q.u0 + (q.u1 - q.u0) * fx) * tw));
+                const a = mask[ty * tw + tx] / 255 * a0;
+                if (a <= 0)
+                    continue;
+                const p = (j * width + i) * 4,
+                k = 1 - a;
+                data[p] = r * a + data[p] * k;
+                data[p + 1] = g * a + data[p + 1] * k;
+                data[p + 2] = b * a + data[p + 2] * k;
+                data[p + 3] = 255 * a + data[p + 3] * k;
+            }
+        }
+    });
+    return target;
+}
+
+// premultiplied RGBA → straight RGBA (ImageData/PNG용), src === dst 가능
+export function unpremultiply(src, dst = src) {
+    for (let p = 0; p < src.length; p += 4) {
+        const a = src[p + 3];
+        const k = a ? 255 / a : 0;
+        dst[p] = src[p] * k;
+        dst[p + 1] = src[p + 1] * k;
+        dst[p + 2] = src[p + 2] * k;
+        dst[p + 3] = a;
+    }
+    return dst;
+}
+
+// ---------------------- Canvas 2D ----------------------
+// rasterize() 결과를 putImageData (premultiplied → straight alpha)
+export class Canvas2DBackend {
+    constructor() {
+        this.name = 'canvas2d';
+        this.ctx = null;
+        this.image = null;
+        this.target = null;
+    }
+
+    init(canvas) {
+        this.ctx = canvas.getContext('2d');
+        return !!this.ctx;
+    }
+
+    resize(width, height) {
+        width = Math.max(1, width);
+        height = Math.max(1, height);
+        if (this.target && this.target.width === width && this.target.height === height)
+            return;
+        this.image = this.ctx.createImageData(width, height);
+        this.target = {
+            data: new Uint8ClampedArray(width * height * 4),
+            width,
+            height
+        };
+    }
+
+    render(frame) {
+        unpremultiply(rasterize(frame, this.target).data, this.image.data);
+        this.ctx.putImageData(this.image, 0, 0);
+    }
+}
@@ -0,0 +1,440 @@
+// MCBidi.js
+// Unicode Bidirectional Algorithm (UAX #9) — MCFontRenderer layout용 최소 구현
+// - resolveLevels(): 문단 하나의 embedding level (P2~P3, X1~X10, W1~W7, N0~N2, I1~I2)
+// - visualOrder()  : 줄 하나의 level → 시각 순서 (L2)
+// - isTrailingWhitespace(): 줄 끝에서 문단 level로 되돌릴 글자 (L1)
+// - mirrorOf()     : RTL에서 좌우가 바뀌는 괄호/기호 (L4)
+//
+// Bidi_Class는 JS 정규식으로 얻을 수 없어서 스크립트/범주로 근사 (bidiClass)
+// isolating run sequence는 level run 단위로 처리 (isolate 앞뒤를 잇지 않음)
+
+const MAX_DEPTH = 125;
+
+// ---------------------- Classes ----------------------
+const ES_SET = new Set([0x2B, 0x2D, 0x207A, 0x207B, 0x208A, 0x208B, 0x2212, 0xFB29, 0xFE62, 0xFE63, 0xFF0B, 0xFF0D]);
+const CS_SET = new Set([0x2C, 0x2E, 0x2F, 0x3A, 0xA0, 0x060C, 0x202F, 0x2044, 0xFE50, 0xFE52, 0xFE55, 0xFF0C, 0xFF0E, 0xFF0F, 0xFF1A]);
+const EXPLICIT = {
+    0x202A: 'LRE',
+    0x202B: 'RLE',
+    0x202C: 'PDF',
+    0x202D: 'LRO',
+    0x202E: 'RLO',
+    0x2066: 'LRI',
+    0x2067: 'RLI',
+    0x2068: 'FSI',
+    0x2069: 'PDI',
+    0x200E: 'L', // LRM
+    0x200F: 'R', // RLM
+    0x061C: 'AL' // ALM
+};
+
+// 코드포인트 → Bidi_Class (근사)
+export function bidiClass(cp) {
+    if (EXPLICIT[cp])
+        return EXPLICIT[cp];
+    if (cp === 0x0A || cp === 0x0D || (cp >= 0x1C && cp <= 0x1E) || cp === 0x85 || cp === 0x2029)
+        return 'B';
+    if (cp === 0x09 || cp === 0x0B || cp === 0x1F)
+        return 'S';
+    if (cp === 0x0C || cp === 0x2028)
+        return 'WS';
+    if ((cp >= 0x30 && cp <= 0x39) || (cp >= 0x06F0 && cp <= 0x06F9) || cp === 0xB2 || cp === 0xB3 || cp === 0xB9 ||
+        (cp >= 0x2070 && cp <= 0x2079) || (cp >= 0x2080 && cp <= 0x2089) || (cp >= 0xFF10 && cp <= 0xFF19))
+        return 'EN';
+    if ((cp >= 0x0660 && cp <= 0x0669) || cp === 0x066B || cp === 0x066C || (cp >= 0x0600 && cp <= 0x0605) || cp === 0x06DD)
+        return 'AN';
+    if (ES_SET.has(cp))
+        return 'ES';
+    if (CS_SET.has(cp))
+        return 'CS';
+
+    const ch = String.fromCodePoint(cp);
+    if ((cp >= 0x23 && cp <= 0x25) || cp === 0xB0 || cp === 0xB1 || cp === 0x066A || (cp >= 0x2030 && cp <= 0x2034) || /\p{Sc}/u.test(ch))
+        return 'ET';
+    if (/[\p{Mn}\p{Me}]/u.test(ch))
+        return 'NSM';
+    if (/[\p{Default_Ignorable_Code_Point}\p{Cc}]/u.test(ch))
+        return 'BN';
+    if (/\p{Zs}/u.test(ch))
+        return 'WS';
+    if (cp === 0xFD3E || cp === 0xFD3F)
+        return 'ON'; // 장식 괄호
+    if (/[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}]/u.test(ch) || (cp >= 0x1EE00 && cp <= 0x1EEFF))
+        return 'AL';
+    if ((cp >= 0x0590 && cp <= 0x08FF) || (cp >= 0xFB1D && cp <= 0xFB4F) || (cp >= 0x10800 && cp <= 0x10FFF) || (cp >= 0x1E800 && cp <= 0x1EFFF))
+        return 'R'; // Hebrew, NKo, Samaritan, ...
+    if (/[\p{P}\p{S}]/u.test(ch))
+        return 'ON';
+    return 'L';
+}
+
+// RTL 문자가 하나도 없으면 알고리즘을 건너뜀
+const RTL_HINT = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u061C\u200F\u202A-\u202E\u2066-\u2069]|[\uD802\uD803\uD83A\uD83B][\uDC00-\uDFFF]/;
+
+const isStrong = (t) => t === 'L' || t === 'R' || t === 'AL';
+const isIsolate = (t) => t === 'LRI' || t === 'RLI' || t === 'FSI' || t === 'PDI';
+const isNI = (t) => t === 'B' || t === 'S' || t === 'WS' || t === 'ON' || isIsolate(t);
+const strongDir = (t) => t === 'L' ? 'L' : (t === 'R' || t === 'AL' || t === 'EN' || t === 'AN') ? 'R' : null;
+
+// P2: [from, to)의 첫 strong 문자 (isolate 안은 건너뜀), 없으면 null
+function firstStrong(types, from, to) {
+    let depth = 0;
+    for (let k = from; k < to; k++) {
+        const t = types[k];
+        if (t === 'LRI' || t === 'RLI' || t === 'FSI')
+            depth++;
+        else if (t === 'PDI') {
+            if (depth)
+                depth--;
+        } else if (!depth && isStrong(t))
+            return t === 'L' ? 'L' : 'R';
+    }
+    return null;
+}
+
+// 문단 text[start, end) → { levels(code unit마다, 길이 end-start), level(문단) }
+//   - direction: 'auto'(첫 strong 문자) | 'ltr' | 'rtl'
+export function resolveLevels(text, start, end, direction = 'auto') {
+    const n = end - start;
+    const out = new Uint8Array(n);
+    const slice = text.slice(start, end);
+    if (direction !== 'rtl' && !RTL_HINT.test(slice))
+        return {
+            levels: out,
+            level: 0
+        };
+
+    // 코드포인트 단위
+    const pos = [],
+    cps = [];
+    for (let i = 0; i < n; ) {
+        const cp = slice.codePointAt(i);
+        pos.push(i);
+        cps.push(cp);
+        i += cp > 0xFFFF ? 2 : 1;
+    }
+    const types = cps.map(bidiClass);
+    const count = types.length;
+
+    // P2~P3
+    const paraLevel = direction === 'rtl' ? 1 : direction === 'ltr' ? 0 : (firstStrong(types, 0, count) === 'R' ? 1 : 0);
+
+    // X1~X8: explicit embedding/override/isolate
+    const levels = new Uint8Array(count);
+    const stack = [{
+            level: paraLevel,
+            override: null,
+            isolate: false
+        }
+    ];
+    let overflowIsolate = 0,
+    overflowEmbed = 0,
+    validIsolate = 0;
+    const nextLevel = (rtl) => {
+        const cur = stack[stack.length - 1].level;
+        return rtl ? (cur + 1) | 1 : (cur + 2) & ~1;
+    };
+    for (let k = 0; k < count; k++) {
+        const t = types[k];
+        const top = stack[stack.length - 1];
+        if (t === 'RLE' || t === 'LRE' || t === 'RLO' || t === 'LRO') {
+            levels[k] = top.level;
+            const level = nextLevel(t[0] === 'R');
+            if (level <= MAX_DEPTH && !overflowIsolate && !overflowEmbed)
+                stack.push({
+                    level,
+                    override: t[2] === 'O' ? t[0] : null,
+                    isolate: false
+                });
+            else if (!overflowIsolate)
+                overflowEmbed++;
+            types[k] = 'BN';
+        } else if (t === 'RLI' || t === 'LRI' || t === 'FSI') {
+            levels[k] = top.level;
+            if (top.override)
+                types[k] = top.override;
+            let rtl = t === 'RLI';
+            if (t === 'FSI') {
+                let depth = 1,
+                j = k + 1;
+                for (; j < count; j++) {
+                    const u = types[j];
+                    if (u === 'LRI' || u === 'RLI' || u === 'FSI')
+                        depth++;
+                    else if (u === 'PDI' && !--depth)
+                        break;
+                }
+                rtl = firstStrong(types, k + 1, j) === 'R'; // 짝 PDI까지
+            }
+            const level = nextLevel(rtl);
+            if (level <= MAX_DEPTH && !overflowIsolate && !overflowEmbed) {
+                validIsolate++;
+                stack.push({
+                    level,
+                    override: null,
+                    isolate: true
+                });
+            } else
+                overflowIsolate++;
+        } else if (t === 'PDI') {
+            if (overflowIsolate)
+                overflowIsolate--;
+            else if (validIsolate) {
+                overflowEmbed = 0;
+                while (!stack[stack.length - 1].isolate)
+                    stack.pop();
+                stack.pop();
+                validIsolate--;
+            }
+            const cur = stack[stack.length - 1];
+            levels[k] = cur.level;
+            if (cur.override)
+                types[k] = cur.override;
+        } else if (t === 'PDF') {
+            levels[k] = top.level;
+            if (!overflowIsolate) {
+                if (overflowEmbed)
+                    overflowEmbed--;
+                else if (!top.isolate && stack.length > 1)
+                    stack.pop();
+            }
+            types[k] = 'BN';
+        } else if (t === 'B') {
+            levels[k] = paraLevel;
+        } else {
+            levels[k] = top.level;
+            if (top.override && t !== 'BN')
+                types[k] = top.override;
+        }
+    }
+
+    // X9: BN 제외한 글자로 level run (X10, isolate 연결 없음)
+    const live = [];
+    for (let k = 0; k < count; k++)
+        if (types[k] !== 'BN')
+            live.push(k);
+    let r0 = 0;
+    while (r0 < live.length) {
+        let r1 = r0 + 1;
+        while (r1 < live.length && levels[live[r1]] === levels[live[r0]])
+            r1++;
+        const seq = live.slice(r0, r1);
+        const level = levels[seq[0]];
+        const prev = r0 > 0 ? levels[live[r0 - 1]] : paraLevel;
+        const next = r1 < live.length && !/^(LRI|RLI|FSI)$/.test(types[seq[seq.length - 1]]) ? levels[live[r1]] : paraLevel;
+        const sos = Math.max(prev, level) & 1 ? 'R' : 'L';
+        const eos = Math.max(next, level) & 1 ? 'R' : 'L';
+        resolveSequence(seq, types, cps, level, sos, eos);
+        r0 = r1;
+    }
+
+    // I1~I2
+    for (const k of live) {
+        const t = types[k],
+        lv = levels[k];
+        if (lv & 1) {
+            if (t === 'L' || t === 'EN' || t === 'AN')
+                levels[k] = lv + 1;
+        } else if (t === 'R')
+            levels[k] = lv + 1;
+        else if (t === 'AN' || t === 'EN')
+            levels[k] = lv + 2;
+    }
+    // 제거했던 BN은 앞 글자 level
+    for (let k = 0; k < count; k++)
+        if (types[k] === 'BN')
+            levels[k] = k ? levels[k - 1] : paraLevel;
+
+    for (let k = 0; k < count; k++) {
+        out[pos[k]] = levels[k];
+        if (cps[k] > 0xFFFF)
+            out[pos[k] + 1] = levels[k];
+    }
+    return {
+        levels: out,
+        level: paraLevel
+    };
+}
+
+// W1~W7, N0~N2: 한 isolating run sequence(글자 index 목록)의 type 확정
+function resolveSequence(seq, types, cps, level, sos, eos) {
+    const t = seq.map(k => types[k]);
+    const m = t.length;
+
+    // W1: NSM → 앞 글자 type (isolate 뒤면 ON)
+    for (let i = 0; i < m; i++)
+        if (t[i] === 'NSM')
+            t[i] = i === 0 ? sos : isIsolate(t[i - 1]) ? 'ON' : t[i - 1];
+    // W2: AL 뒤의 EN → AN, W3: AL → R
+    let last = sos;
+    for (let i = 0; i < m; i++) {
+        if (isStrong(t[i]))
+            last = t[i];
+        else if (t[i] === 'EN' && last === 'AL')
+            t[i] = 'AN';
+    }
+    for (let i = 0; i < m; i++)
+        if (t[i] === 'AL')
+            t[i] = 'R';
+    // W4: 숫자 사이의 구분자 하나
+    for (let i = 1; i < m - 1; i++) {
+        if (t[i] === 'ES' && t[i - 1] === 'EN' && t[i + 1] === 'EN')
+            t[i] = 'EN';
+        else if (t[i] === 'CS' && (t[i - 1] === 'EN' || t[i - 1] === 'AN') && t[i + 1] === t[i - 1])
+            t[i] = t[i - 1];
+    }
+    // W5: EN에 붙은 ET 연속 → EN
+    for (let i = 0; i < m; i++) {
+        if (t[i] !== 'ET')
+            continue;
+        let j = i;
+        while (j < m && t[j] === 'ET')
+            j++;
+        if ((i > 0 && t[i - 1] === 'EN') || (j < m && t[j] === 'EN'))
+            t.fill('EN', i, j);
+        i = j - 1;
+    }
+    // W6: 남은 구분자 → ON, W7: L 뒤의 EN → L
+    for (let i = 0; i < m; i++)
+        if (t[i] === 'ES' || t[i] === 'ET' || t[i] === 'CS')
+            t[i] = 'ON';
+    last = sos;
+    for (let i = 0; i < m; i++) {
+        if (t[i] === 'L' || t[i] === 'R')
+            last = t[i];
+        else if (t[i] === 'EN' && last === 'L')
+            t[i] = 'L';
+    }
+
+    // N0: 괄호 쌍
+    const e = level & 1 ? 'R' : 'L';
+    const pairs = [];
+    const open = [];
+    for (let i = 0; i < m; i++) {
+        if (t[i] !== 'ON')
+            continue;
+        const cp = cps[seq[i]];
+        if (BRACKET_OPEN.has(cp)) {
+            if (open.length === 63)
+                break;
+            open.push({
+                i,
+                close: BRACKET_OPEN.get(cp)
+            });
+        } else if (BRACKET_CLOSE.has(cp)) {
+            for (let s = open.length - 1; s >= 0; s--) {
+                if (open[s].close === cp) {
+                    pairs.push([open[s].i, i]);
+                    open.length = s;
+                    break;
+                }
+            }
+        }
+    }
+    pairs.sort((a, b) => a[0] - b[0]);
+    for (const [a, b] of pairs) {
+        let found = null;
+        for (let i = a + 1; i < b; i++) {
+            const d = strongDir(t[i]);
+            if (d === e) {
+                found = e;
+                break;
+            }
+            if (d)
+                found = d;
+        }
+        if (!found)
+            continue;
+        if (found !== e) {
+            let before = sos;
+            for (let i = a - 1; i >= 0; i--) {
+                const d = strongDir(t[i]);
+                if (d) {
+                    before = d;
+                    break;
+                }
+            }
+            found = before === found ? found : e;
+        }
+        t[a] = t[b] = found;
+    }
+
+    // N1~N2: 중립 연속은 양쪽 방향이 같으면 그 방향, 아니면 embedding 방향
+    for (let i = 0; i < m; i++) {
+        if (!isNI(t[i]))
+            continue;
+        let j = i;
+        while (j < m && isNI(t[j]))
+            j++;
+        const before = i > 0 ? strongDir(t[i - 1]) : sos;
+        const after = j < m ? strongDir(t[j]) : eos;
+        t.fill(before === after ? before : e, i, j);
+        i = j - 1;
+    }
+
+    seq.forEach((k, i) => {
+        types[k] = t[i];
+    });
+}
+
+// ---------------------- Line ----------------------
+// L1: 줄 끝 공백/isolate 제어 문자는 문단 level
+export function isTrailingWhitespace(cp) {
+    const t = bidiClass(cp);
+    return t === 'WS' || t === 'S' || t === 'BN' || isIsolate(t);
+}
+
+// L2: 글자별 level → 시각 순서 (levels 배열의 index 목록, 왼쪽부터)
+export function visualOrder(levels) {
+    const order = levels.map((_, k) => k);
+    let max = 0,
+    minOdd = Infinity;
+    for (const lv of levels) {
+        max = Math.max(max, lv);
+        if (lv & 1)
+            minOdd = Math.min(minOdd, lv);
+    }
+    for (let lv = max; lv >= minOdd; lv--) {
+        for (let k = 0; k < order.length; k++) {
+            if (levels[order[k]] < lv)
+                continue;
+            let j = k;
+            while (j < order.length && levels[order[j]] >= lv)
+                j++;
+            const run = order.slice(k, j).reverse();
+            order.splice(k, j - k, ...run);
+            k = j;
+        }
+    }
+    return order;
+}
+
+// ---------------------- Mirroring ----------------------
+const MIRROR_PAIRS = [
+    [0x28, 0x29], [0x3C, 0x3E], [0x5B, 0x5D], [0x7B, 0x7D], [0xAB, 0xBB],
+    [0x2039, 0x203A], [0x2045, 0x2046], [0x207D, 0x207E], [0x208D, 0x208E],
+    [0x2208, 0x220B], [0x2264, 0x2265], [0x2282, 0x2283], [0x2286, 0x2287],
+    [0x2329, 0x232A], [0x27E8, 0x27E9], [0x3008, 0x3009], [0x300A, 0x300B],
+    [0x300C, 0x300D], [0x300E, 0x300F], [0x3010, 0x3011], [0x3014, 0x3015],
+    [0x3016, 0x3017], [0x3018, 0x3019], [0x301A, 0x301B], [0xFF08, 0xFF09],
+    [0xFF1C, 0xFF1E], [0xFF3B, 0xFF3D], [0xFF5B, 0xFF5D], [0xFF62, 0xFF63]
+];
+const MIRROR = new Map();
+for (const [a, b] of MIRROR_PAIRS) {
+    MIRROR.set(a, b);
+    MIRROR.set(b, a);
+}
+
+// N0용 괄호 쌍 (여는 괄호 → 닫는 괄호)
+const BRACKET_OPEN = new Map([
+        [0x28, 0x29], [0x5B, 0x5D], [0x7B, 0x7D], [0x2045, 0x2046], [0x207D, 0x207E], [0x208D, 0x208E],
+        [0x2329, 0x232A], [0x27E8, 0x27E9], [0x3008, 0x3009], [0x300A, 0x300B], [0x300C, 0x300D],
+        [0x300E, 0x300F], [0x3010, 0x3011], [0x3014, 0x3015], [0x3016, 0x3017], [0x3018, 0x3019],
+        [0x301A, 0x301B], [0xFF08, 0xFF09], [0xFF3B, 0xFF3D], [0xFF5B, 0xFF5D], [0xFF62, 0xFF63]
+    ]);
+const BRACKET_CLOSE = new Set(BRACKET_OPEN.values());
+
+// L4: RTL(홀수 level)에서 그릴 코드포인트 (짝이 없으면 그대로)
+export function mirrorOf(cp) {
+    return MIRROR.get(cp) ?? cp;
+}
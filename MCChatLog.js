@@ -0,0 +1,242 @@
+// MCChatLog.js
+// 바닐라 채팅창: MCFontRenderer 위에서 메시지 누적/줄바꿈/스크롤/페이드
+// - add(text | component): width에 맞춰 줄바꿈, 줄 단위 layout 캐시 (새 메시지만 배치 계산)
+// - Scrollback: maxMessages개까지 보관, 넘치면 오래된 것부터 버림
+// - Mouse wheel scroll (attach(element)), 채팅이 열려 있을 때만
+// - 닫혀 있으면 fadeAfter초 뒤 사라짐 (마지막 10% 동안 페이드), 열면 전부 보임
+// - 줄마다 반투명 배경, 열려 있고 넘치면 스크롤바
+//
+// constructor(renderer, options):
+//   - x, y        : 채팅창 왼쪽 아래 (캔버스 px, default 0, null → 캔버스 아래쪽)
+//   - width       : 줄바꿈 폭, px × scale (default 320, 바닐라 채팅 폭)
+//   - scale       : number (default 2)
+//   - visibleLines: 닫혀 있을 때 보이는 줄 수 (default 10)
+//   - openLines   : 열려 있을 때 보이는 줄 수 (default 20)
+//   - maxMessages : scrollback 메시지 수 (default 100)
+//   - fadeAfter   : 닫혀 있을 때 메시지가 보이는 시간(초) (default 10)
+//   - background  : 줄 배경 [r, g, b, a] (default [0, 0, 0, 0.5])
+//   - padding     : 배경 안쪽 여백, px × scale (default 2)
+//   - 나머지(mode, font, formatting, color, ...)는 draw() 옵션과 같이 layout에 전달
+//
+// add(text, opts) → Promise (opts는 메시지별 draw() 옵션, 생성자 옵션보다 우선)
+// open() / close() / scroll(lines) / clear() / setWidth(width)
+// attach(element) → detach 함수
+// render(now) → Promise: 진행 중인 beginFrame()이 있으면 거기에 추가, 없으면 투명 frame 하나로 렌더
+
+export class ChatLog {
+    constructor(renderer, {
+        x = 0,
+        y = null,
+        width = 320,
+        scale = 2,
+        visibleLines = 10,
+        openLines = 20,
+        maxMessages = 100,
+        fadeAfter = 10,
+        background = [0, 0, 0, 0.5],
+        padding = 2,
+        ...textOpts
+    } = {}) {
+        this.renderer = renderer;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.scale = scale;
+        this.visibleLines = visibleLines;
+        this.openLines = openLines;
+        this.maxMessages = maxMessages;
+        this.fadeAfter = fadeAfter;
+        this.background = background;
+        this.padding = padding;
+        this.textOpts = textOpts;
+
+        // message: { text, opts, time, lines[{ quads, width, height }] | null }
+        this.messages = [];
+        this.isOpen = false;
+        this.scrollPos = 0; // 맨 아래에서 위로 올라간 줄 수
+        this._pending = new Set();
+    }
+
+    // ------------------------- Messages -------------------------
+    add(text, opts = {}) {
+        const msg = {
+            text,
+            opts,
+            time: performance.now(),
+            lines: null
+        };
+        this.messages.push(msg);
+        if (this.messages.length > this.maxMessages)
+            this.messages.splice(0, this.messages.length - this.maxMessages);
+
+        return this._track(this._layoutMessage(msg).then(() => {
+                // 스크롤 중이면 보던 위치 유지 (바닐라)
+                if (this.scrollPos > 0)
+                    this.scroll(msg.lines.length);
+                return msg;
+            }));
+    }
+
+    clear() {
+        this.messages = [];
+        this.scrollPos = 0;
+    }
+
+    // 폭이 바뀌면 전체 다시 줄바꿈
+    setWidth(width) {
+        if (width === this.width)
+            return Promise.resolve();
+        this.width = width;
+        return this._track(Promise.all(this.messages.map(m => this._layoutMessage(m))));
+    }
+
+    // 메시지 하나 → 줄 단위 layout (줄 좌상단 기준 좌표로 한 번만 계산)
+    async _layoutMessage(msg) {
+        const opts = {
+            ...this.textOpts,
+            ...msg.opts,
+            scale: this.scale,
+            align: 'left',
+            maxWidth: this.width * this.scale
+        };
+        const layout = await this.renderer.layout(msg.text, opts);
+
+        const lines = layout.lines.map(l => ({
+                    quads: [],
+                    width: l.width,
+                    height: l.height,
+                    y: l.y
+                }));
+        for (const q of layout.quads) {
+            // quad index(원문 위치)가 속한 줄, 줄 끝 장식(밑줄 등)은 앞 줄로
+            let n = layout.lines.findIndex(l => q.index >= l.start && q.index < l.end);
+            if (n < 0)
+                n = Math.max(0, layout.lines.findLastIndex(l => l.start <= q.index));
+            lines[n].quads.push({
+                ...q,
+                y: q.y - lines[n].y
+            });
+        }
+        msg.shadow = opts.shadow;
+        msg.outline = opts.outline;
+        msg.lines = lines;
+    }
+
+    _track(job) {
+        this._pending.add(job);
+        const done = () => this._pending.delete(job);
+        job.then(done, done); // 실패는 add()/relayout()이 돌려준 job을 받은 쪽에서
+        return job;
+    }
+
+    // ------------------------- Input -------------------------
+    open() {
+        this.isOpen = true;
+    }
+
+    close() {
+        this.isOpen = false;
+        this.scrollPos = 0;
+    }
+
+    // lines > 0: 위로(오래된 메시지 쪽)
+    scroll(lines) {
+        const total = this._allLines().length;
+        const max = Math.max(0, total - this.openLines);
+        this.scrollPos = Math.max(0, Math.min(max, this.scrollPos + lines));
+    }
+
+    // 휠 한 칸 = 7줄 (Shift: 1줄), 바닐라와 같음
+    attach(element) {
+        const onWheel = (e) => {
+            if (!this.isOpen)
+                return;
+            e.preventDefault();
+            const step = e.shiftKey ? 1 : 7;
+            this.scroll(e.deltaY < 0 ? step : -step);
+        };
+        element.addEventListener('wheel', onWheel, {
+            passive: false
+        });
+        return () => element.removeEventListener('wheel', onWheel);
+    }
+
+    // ------------------------- Render -------------------------
+    async render(now = performance.now()) {
+        await Promise.allSettled(this._pending); // 실패한 메시지는 lines 없이 건너뜀
+
+        const r = this.renderer;
+        const own = !r._frame;
+        if (own)
+            r.beginFrame({
+                transparent: true
+            });
+
+        const s = this.scale;
+        const count = this.isOpen ? this.openLines : this.visibleLines;
+        const all = this._allLines();
+        const start = this.isOpen ? this.scrollPos : 0;
+        const shown = all.slice(start, start + count);
+
+        const pad = Math.round(this.padding * s);
+        const bgW = Math.round(this.width * s) + pad * 2;
+        const [br, bg, bb, ba] = this.background;
+        let y = this.y ?? r.canvas.height;
+
+        // 아래 줄부터 위로
+        for (const {
+            line,
+            msg
+        }
+            of shown) {
+            const alpha = this.isOpen ? 1 : this._opacity(now - msg.time);
+            y -= line.height;
+            if (alpha <= 0)
+                continue;
+            if (ba > 0)
+                r.fillRect(this.x, y, bgW, line.height, [br, bg, bb, ba * alpha]);
+            r.drawLayout(line, {
+                x: this.x + pad,
+                y,
+                scale: s,
+                shadow: msg.shadow,
+                outline: msg.outline,
+                alpha
+            });
+        }
+
+        // 스크롤바: 전체 중 보이는 구간
+        if (this.isOpen && all.length > count) {
+            const viewH = shown.reduce((h, l) => h + l.line.height, 0);
+            const barH = Math.max(s, Math.round(viewH * count / all.length));
+            const barY = Math.round((this.y ?? r.canvas.height) - barH - (viewH - barH) * this.scrollPos / (all.length - count));
+            r.fillRect(this.x + bgW, barY, Math.max(1, Math.round(s)), barH, [0.8, 0.8, 0.8, 1]);
+        }
+
+        if (own)
+            await r.endFrame();
+    }
+
+    // 최신 줄부터 [{ line, msg }]
+    _allLines() {
+        const out = [];
+        for (let m = this.messages.length - 1; m >= 0; m--) {
+            const msg = this.messages[m];
+            if (!msg.lines)
+                continue;
+            for (let n = msg.lines.length - 1; n >= 0; n--)
+                out.push({
+                    line: msg.lines[n],
+                    msg
+                });
+        }
+        return out;
+    }
+
+    // 바닐라 페이드: t = age / 수명, (1 - t) * 10을 0~1로 자른 뒤 제곱
+    _opacity(ageMs) {
+        const t = ageMs / (this.fadeAfter * 1000);
+        const o = Math.max(0, Math.min(1, (1 - t) * 10));
+        return o * o;
+    }
+}
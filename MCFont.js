@@ -1,776 +1,2708 @@
-// MCFont.js (final, cleaned)
-// FontPE → WebGL
-// - Ordered & batched draw
-// - Baseline lock/jump prevention
-// - Mixed-mode smart spaces
-// - Glyph tracking (한글 자간 보정)
-// - Always-tweaked ASCII comma
-// - Open/close quotes (ASCII) alternate tiles
-// - glyph_00: left margin normalize (ASCII 32~126)
-//
-// draw() options:
-//   - color       : '#rrggbb' (default '#ffffff')
-//   - align       : 'left' | 'center' | 'right' (default 'left')
-//   - scale       : number (default 2)
-//   - shadow      : boolean (default true)
-//   - ds          : ASCII(default8) scale only (default 1.5)
-//   - spaceMul    : space width mul (default 0.5)
-//   - spacingMul  : advance mul (default 1.0)
-//   - mode        : 'auto' | 'mixed' | 'default' | 'glyph' (default 'auto')
-//   - baseline    : 'ascii' | 'glyph' | 'auto' (default 'ascii')
-//   - lockLineH   : boolean, if true lineH=16px*scale (default true)
-//   - glyphTrackPx: extra tracking between consecutive glyphs (default 2)
-//   - asciiAfterGlyphPadPx: in mixed mode, padding before ASCII that follows glyph (default 2.5)
-
-export class MCFontRenderer {
-    constructor({
-        canvas,
-        basePath = './images/font'
-    } = {}) {
-        this.canvas = canvas;
-        this.basePath = basePath.replace(/\/$/, '');
-
-        this.gl = null;
-        this.program = null;
-        this.loc = {};
-        this.vbo = null;
-        this.vao = null;
-
-        // Device pixel ratio(최대 2로 클램프: 픽셀 폰트 보존)
-        this.DPR = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
-
-        // Texture packs
-        // pack: { tex, w, h, scan:{alpha,width,height}, adv[256], vmet:{centerRow,tileH} }
-        this.ascii = null; // default8.png (8x8)
-        this.glyphs = new Map(); // glyph_XX.png (16x16), key = "00".."FF"
-
-        // 여는 따옴표 전용 대체 타일(8x8 단일 텍스처 pack)
-        // quoteAlt[34] → " / quoteAlt[39] → '
-        this.quoteAlt = {};
-    }
-
-    // ------------------------- Init -------------------------
-    async init() {
-        const gl = this.canvas.getContext('webgl2', {
-            alpha: false,
-            antialias: false,
-            preserveDrawingBuffer: true
-        });
-        if (!gl)
-            throw new Error('WebGL2 required');
-        this.gl = gl;
-
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-
-        // Minimal shader (alpha mask → uniform color)
-        const vs = `#version 300 es
-precision mediump float;
-layout(location=0) in vec2 aPos;
-layout(location=1) in vec2 aUV;
-uniform vec2 uRes;
-out vec2 vUV;
-void main(){
-  vec2 p = aPos / uRes * 2.0 - 1.0;
-  p.y = -p.y;
-  gl_Position = vec4(p, 0.0, 1.0);
-  vUV = aUV;
-}`;
-        const fs = `#version 300 es
-precision mediump float;
-uniform sampler2D uTex;
-uniform vec4 uColor;
-in vec2 vUV;
-out vec4 outColor;
-void main(){
-  float a = texture(uTex, vUV).a;
-  outColor = vec4(uColor.rgb, a * uColor.a);
-}`;
-
-        this.program = this._makeProgram(vs, fs);
-        this.loc.uRes = gl.getUniformLocation(this.program, 'uRes');
-        this.loc.uColor = gl.getUniformLocation(this.program, 'uColor');
-        this.loc.uTex = gl.getUniformLocation(this.program, 'uTex');
-
-        this.vao = gl.createVertexArray();
-        gl.bindVertexArray(this.vao);
-
-        this.vbo = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
-
-        gl.enableVertexAttribArray(0);
-        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 16, 0);
-
-        gl.enableVertexAttribArray(1);
-        gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 16, 8);
-
-        // Load default8.png
-        this.ascii = await this._loadAtlas(`${this.basePath}/default8.png`, 8, 8, true);
-
-        // Auto-resize
-        new ResizeObserver(() => this._resize()).observe(this.canvas);
-        this._resize();
-    }
-
-    // ------------------------- Draw -------------------------
-    async draw(text, opts = {}) {
-        const {
-            color = '#ffffff',
-            align = 'left',
-            scale = 2,
-            shadow = true,
-
-            ds = 1.5,
-            spaceMul = 0.5,
-            spacingMul = 1.0,
-
-            mode = 'auto',
-            baseline = 'ascii',
-            lockLineH = true,
-
-            glyphTrackPx = 2,
-            asciiAfterGlyphPadPx = 2.5
-        } = opts;
-
-        if (!this.ascii)
-            return;
-
-        // Helpers
-        const gl = this.gl;
-        const dp = (n) => Math.round(n * scale);
-        const rgb = this._hexToRgb(color);
-        const grid = 16;
-        const isAsciiCode = (cp) => cp <= 0x7F;
-        const codeHi = (cp) => ((cp >>> 8) & 0xFF).toString(16).padStart(2, '0').toUpperCase();
-        const codeLo = (cp) => (cp & 0xFF);
-
-        this._resize();
-
-        // Mode → defaultOnly: true(only-ascii), false(only-glyph), null(mixed)
-        let defaultOnly;
-        if (mode === 'default')
-            defaultOnly = true;
-        else if (mode === 'glyph')
-            defaultOnly = false;
-        else if (mode === 'mixed')
-            defaultOnly = null;
-        else {
-            // auto
-            defaultOnly = [...text].every(ch => isAsciiCode(ch.codePointAt(0)));
-        }
-
-        // Preload glyph pages
-        const need = new Set();
-        if (defaultOnly === false || mode === 'glyph')
-            need.add('00'); // ASCII glyph page
-        if (defaultOnly === false || mode === 'glyph') {
-            for (const ch of text)
-                need.add(codeHi(ch.codePointAt(0)));
-        } else if (defaultOnly === null) {
-            for (const ch of text) {
-                const cp = ch.codePointAt(0);
-                if (!isAsciiCode(cp))
-                    need.add(codeHi(cp));
-            }
-        }
-        await this._ensureGlyphPacks(need);
-
-        const asciiPack = this.ascii;
-        const glyph00 = this.glyphs.get('00');
-
-        // hasGlyph: 조합 안에 glyph가 하나라도?
-        const hasGlyph =
-            mode === 'glyph' ||
-            (mode === 'mixed' && [...text].some(ch => !isAsciiCode(ch.codePointAt(0)))) ||
-            (mode === 'auto' && !defaultOnly);
-
-        // line height & baseline center(Y) 결정
-        const lineH = lockLineH ? dp(16)
-             : (defaultOnly ? dp(Math.max(8 * ds, 16)) : dp(16));
-
-        let refCenter; // 타일-좌표계에서의 세로 중심(픽셀)
-        if (baseline === 'ascii') {
-            // glyph가 섞이면 ascii center × 2.0으로 고정 → 전환 점프 방지
-            refCenter = asciiPack.vmet.centerRow * (hasGlyph ? 2.0 : ds);
-        } else if (baseline === 'glyph') {
-            refCenter = (glyph00 ? glyph00.vmet.centerRow : asciiPack.vmet.centerRow * 2.0);
-        } else { // auto
-            refCenter = hasGlyph
-                 ? (glyph00 ? glyph00.vmet.centerRow : asciiPack.vmet.centerRow * 2.0)
-                 : (asciiPack.vmet.centerRow * ds);
-        }
-
-        // Generate spans (ordered)
-        const spans = [];
-        let penX = 0;
-        let prevKind = null; // 'ascii' | 'glyph' | null
-        let dqCount = 0; // " 카운터
-        let sqCount = 0; // ' 카운터
-
-        const pushQuad = (pack, x, y, w, h, u0, v0, u1, v1) => {
-            spans.push({
-                pack,
-                x,
-                y,
-                w,
-                h,
-                u0,
-                v0,
-                u1,
-                v1
-            });
-        };
-
-        const pushAscii = (code) => {
-            // mixed: glyph 뒤에 바로 ASCII 오면 살짝 여백
-            if (defaultOnly === null && prevKind === 'glyph' && asciiAfterGlyphPadPx > 0) {
-                penX += Math.round(scale * asciiAfterGlyphPadPx);
-            }
-
-            // 기본(default8) 타일 UV
-            let pack = asciiPack;
-            const cx = code % grid,
-            cy = (code / grid) | 0;
-            let u0 = (cx * 8) / pack.w,
-            v0 = (cy * 8) / pack.h;
-            let u1 = ((cx + 1) * 8) / pack.w,
-            v1 = ((cy + 1) * 8) / pack.h;
-
-            // 여는 따옴표 교체(홀수번째 등장 시)
-            if (defaultOnly !== false) {
-                if (code === 34) { // "
-                    if (++dqCount % 2 === 1 && this.quoteAlt[34]) {
-                        pack = this.quoteAlt[34];
-                        u0 = v0 = 0;
-                        u1 = v1 = 1;
-                    }
-                } else if (code === 39) { // '
-                    if (++sqCount % 2 === 1 && this.quoteAlt[39]) {
-                        pack = this.quoteAlt[39];
-                        u0 = v0 = 0;
-                        u1 = v1 = 1;
-                    }
-                }
-            }
-
-            const myCenter = asciiPack.vmet.centerRow * ds; // vmet 기준은 ascii
-            const yShift = Math.round(dp(refCenter - myCenter));
-            pushQuad(pack, penX, yShift, dp(8 * ds), dp(8 * ds), u0, v0, u1, v1);
-
-            penX += Math.round(dp((asciiPack.adv[code] ?? 9) * ds) * spacingMul);
-            prevKind = 'ascii';
-        };
-
-        const pushGlyph = (code) => {
-            // glyph 연속 자간 보정
-            if (glyphTrackPx > 0 && prevKind === 'glyph')
-                penX += Math.round(scale * glyphTrackPx);
-
-            const hi = codeHi(code);
-            const pack = this.glyphs.get(hi) || glyph00 || asciiPack;
-            const lo = codeLo(code);
-            const cx = lo % grid,
-            cy = (lo / grid) | 0;
-            const u0 = (cx * 16) / pack.w,
-            v0 = (cy * 16) / pack.h;
-            const u1 = ((cx + 1) * 16) / pack.w,
-            v1 = ((cy + 1) * 16) / pack.h;
-
-            const myCenter = pack.vmet.centerRow * 1.0;
-            const yShift = Math.round(dp(refCenter - myCenter));
-            pushQuad(pack, penX, yShift, dp(16), dp(16), u0, v0, u1, v1);
-
-            penX += Math.round(dp((pack.adv[lo] ?? 17)) * spacingMul);
-            prevKind = 'glyph';
-        };
-
-        for (let i = 0; i < text.length; i++) {
-            const cp = text.codePointAt(i);
-
-            // SPACE
-            if (cp === 32) {
-                if (defaultOnly === null) {
-                    // mixed: 공백 앞/뒤 타입에 따라 선택
-                    const findPrev = () => {
-                        for (let j = i - 1; j >= 0; j--) {
-                            const c2 = text.codePointAt(j);
-                            if (c2 !== 32)
-                                return c2;
-                        }
-                        return null;
-                    };
-                    const findNext = () => {
-                        for (let j = i + 1; j < text.length; j++) {
-                            const c2 = text.codePointAt(j);
-                            if (c2 !== 32)
-                                return c2;
-                        }
-                        return null;
-                    };
-                    const prev = findPrev(),
-                    next = findNext();
-                    const bothAscii = (prev != null && isAsciiCode(prev)) && (next != null && isAsciiCode(next));
-                    if (bothAscii) {
-                        penX += Math.round(dp((asciiPack.adv[32] ?? 9) * ds) * spaceMul);
-                    } else {
-                        const advG = (glyph00 ? (glyph00.adv[32] ?? 17) : 17);
-                        penX += Math.round(dp(advG) * spaceMul);
-                    }
-                } else if (defaultOnly) {
-                    penX += Math.round(dp((asciiPack.adv[32] ?? 9) * ds) * spaceMul);
-                } else {
-                    const advG = (glyph00 ? (glyph00.adv[32] ?? 17) : 17);
-                    penX += Math.round(dp(advG) * spaceMul);
-                }
-                prevKind = null; // space는 시퀀스 단절
-                continue;
-            }
-
-            // 문자 렌더
-            if (defaultOnly === true) {
-                pushAscii(cp);
-            } else if (defaultOnly === false) {
-                pushGlyph(cp);
-            } else {
-                isAsciiCode(cp) ? pushAscii(cp) : pushGlyph(cp);
-            }
-        }
-
-        // Align
-        let baseX = 0;
-        if (align === 'center')
-            baseX = (this.canvas.width - penX) / 2;
-        else if (align === 'right')
-            baseX = (this.canvas.width - penX);
-        const baseY = (this.canvas.height - lineH) / 2;
-
-        // Batch by texture
-        const runs = [];
-        let cur = null;
-        for (const s of spans) {
-            if (!cur || cur.pack !== s.pack) {
-                cur = {
-                    pack: s.pack,
-                    list: []
-                };
-                runs.push(cur);
-            }
-            cur.list.push(s);
-        }
-
-        // Render
-        gl.clearColor(0.05, 0.07, 0.10, 1);
-        gl.clear(gl.COLOR_BUFFER_BIT);
-        gl.useProgram(this.program);
-        gl.uniform2f(this.loc.uRes, this.canvas.width, this.canvas.height);
-
-        const drawRun = (run, colorArr, ox, oy) => {
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, run.pack.tex);
-            gl.uniform1i(this.loc.uTex, 0);
-            gl.uniform4f(this.loc.uColor, colorArr[0], colorArr[1], colorArr[2], colorArr[3]);
-
-            const verts = new Float32Array(run.list.length * 6 * 4);
-            let p = 0;
-            for (const q of run.list) {
-                const x0 = baseX + ox + q.x,
-                y0 = baseY + oy + q.y;
-                const x1 = x0 + q.w,
-                y1 = y0 + q.h;
-                verts.set([
-                        x0, y0, q.u0, q.v0,
-                        x1, y0, q.u1, q.v0,
-                        x0, y1, q.u0, q.v1,
-                        x0, y1, q.u0, q.v1,
-                        x1, y0, q.u1, q.v0,
-                        x1, y1, q.u1, q.v1
-                    ], p);
-                p += 24;
-            }
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
-            gl.bufferData(gl.ARRAY_BUFFER, verts, gl.DYNAMIC_DRAW);
-            gl.drawArrays(gl.TRIANGLES, 0, verts.length / 4);
-        };
-
-        const rgbArr = [rgb[0], rgb[1], rgb[2], 1];
-        if (shadow)
-            for (const r of runs)
-                drawRun(r, [0.266, 0.266, 0.266, 1], Math.round(scale), Math.round(scale));
-        for (const r of runs)
-            drawRun(r, rgbArr, 0, 0);
-    }
-
-    // ---------------------- Asset Loading ----------------------
-    async _ensureGlyphPacks(set) {
-        const jobs = [];
-        for (const hi of set) {
-            if (!this.glyphs.get(hi)) {
-                jobs.push((async() => {
-                        const p = await this._loadAtlas(`${this.basePath}/glyph_${hi}.png`, 16, 16, false);
-                        this.glyphs.set(hi, p);
-                    })());
-            }
-        }
-        if (jobs.length)
-            await Promise.all(jobs);
-    }
-
-    async _loadAtlas(url, tileW, tileH, isAscii) {
-        const img = await this._loadImage(url);
-
-        // 편집용 캔버스에 복사
-        const src = document.createElement('canvas');
-        src.width = img.width;
-        src.height = img.height;
-        const ctx = src.getContext('2d', {
-            willReadFrequently: true
-        });
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(img, 0, 0);
-
-        // (1) default8: 쉼표 픽셀 tweak + 여는 따옴표 대체 타일 생성
-        if (isAscii && tileW === 8 && tileH === 8) {
-            this._tweakAsciiComma(ctx);
-            this._buildAsciiQuoteAlternates(ctx);
-        }
-
-        // (2) glyph_00: ASCII(32~126) 타일들의 left margin을 1px로 정규화
-        if (!isAscii && tileW === 16 && tileH === 16 && /glyph_00\.png$/i.test(url)) {
-            this._normalizeGlyph00LeftMargins(ctx);
-        }
-
-        // 텍스처/스캔/메트릭
-        const tex = this._createTexture(src);
-        const scan = this._scanAlpha(src);
-        const adv = this._buildAdvance(scan, tileW, tileH);
-        const vmet = this._buildVerticalMetrics(scan, tileW, tileH);
-        return {
-            tex,
-            w: src.width,
-            h: src.height,
-            scan,
-            adv,
-            vmet
-        };
-    }
-
-    _loadImage(url) {
-        return new Promise((res, rej) => {
-            const img = new Image();
-            img.onload = () => res(img);
-            img.onerror = () => rej(new Error('Failed to load ' + url));
-            img.src = url;
-        });
-    }
-
-    _createTexture(source) {
-        const gl = this.gl;
-        const tex = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, tex);
-        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
-        return tex;
-    }
-
-    _scanAlpha(source) {
-        const cvs = document.createElement('canvas');
-        cvs.width = source.width;
-        cvs.height = source.height;
-        const ctx = cvs.getContext('2d', {
-            willReadFrequently: true
-        });
-        ctx.imageSmoothingEnabled = false;
-        ctx.drawImage(source, 0, 0);
-        const id = ctx.getImageData(0, 0, cvs.width, cvs.height).data;
-        const alpha = new Uint8Array(cvs.width * cvs.height);
-        for (let i = 0, p = 3; i < alpha.length; i++, p += 4)
-            alpha[i] = id[p];
-        return {
-            alpha,
-            width: cvs.width,
-            height: cvs.height
-        };
-    }
-
-    // ---------------------- Pixel Tweaks ----------------------
-    // default8 쉼표(,) 살짝 오른쪽으로 이동 (행 5,6)
-    _tweakAsciiComma(ctx) {
-        const tileW = 8,
-        tileH = 8,
-        grid = 16,
-        code = 44; // ','
-        const cx = code % grid,
-        cy = (code / grid) | 0;
-        const x0 = cx * tileW,
-        y0 = cy * tileH;
-
-        const imgData = ctx.getImageData(x0, y0, tileW, tileH);
-        const src = new Uint8ClampedArray(imgData.data);
-        const dst = imgData.data;
-
-        for (const py of[5, 6]) {
-            for (let px = tileW - 2; px >= 0; px--) {
-                const si = (py * tileW + px) * 4;
-                const di = (py * tileW + (px + 1)) * 4;
-                if (src[si + 3] > 0) {
-                    dst[di] = src[si];
-                    dst[di + 1] = src[si + 1];
-                    dst[di + 2] = src[si + 2];
-                    dst[di + 3] = src[si + 3];
-                    dst[si] = dst[si + 1] = dst[si + 2] = dst[si + 3] = 0;
-                }
-            }
-        }
-        ctx.putImageData(imgData, x0, y0);
-    }
-
-    // glyph_00: ASCII(32~126) 타일들의 왼쪽 여백을 1px로 정규화
-    _normalizeGlyph00LeftMargins(ctx) {
-        const tileW = 16,
-        tileH = 16,
-        grid = 16;
-        const start = 32,
-        end = 126;
-
-        const leftOpaqueX = (data) => {
-            for (let x = 0; x < tileW; x++)
-                for (let y = 0; y < tileH; y++)
-                    if (data[(y * tileW + x) * 4 + 3] > 0)
-                        return x;
-            return -1;
-        };
-
-        for (let code = start; code <= end; code++) {
-            const cx = code % grid,
-            cy = (code / grid) | 0;
-            const x0 = cx * tileW,
-            y0 = cy * tileH;
-            const srcData = ctx.getImageData(x0, y0, tileW, tileH);
-            const src = srcData.data;
-
-            const left = leftOpaqueX(src);
-            if (left <= 1)
-                continue; // 이미 0~1px
-
-            const shift = left - 1; // e.g., 4→3, 2→1
-            const out = ctx.createImageData(tileW, tileH);
-            const dst = out.data;
-
-            for (let y = 0; y < tileH; y++) {
-                for (let x = 0; x < tileW; x++) {
-                    const si = (y * tileW + x) * 4;
-                    const nx = x - shift; // 왼쪽으로 당김
-                    if (nx < 0)
-                        continue;
-                    const di = (y * tileW + nx) * 4;
-                    dst[di] = src[si];
-                    dst[di + 1] = src[si + 1];
-                    dst[di + 2] = src[si + 2];
-                    dst[di + 3] = src[si + 3];
-                }
-            }
-            ctx.putImageData(out, x0, y0);
-        }
-    }
-
-    // ASCII 따옴표 여는 방향 타일 생성 (행별 1px 이동)
-    _buildAsciiQuoteAlternates(ctx) {
-        const tileW = 8,
-        tileH = 8,
-        grid = 16;
-
-        const buildAlt = (code, shifts) => {
-            const cx = code % grid,
-            cy = (code / grid) | 0;
-            const x0 = cx * tileW,
-            y0 = cy * tileH;
-            const src = ctx.getImageData(x0, y0, tileW, tileH).data;
-
-            const c = document.createElement('canvas');
-            c.width = tileW;
-            c.height = tileH;
-            const dctx = c.getContext('2d', {
-                willReadFrequently: true
-            });
-            const out = dctx.createImageData(tileW, tileH);
-            const dst = out.data;
-
-            for (let y = 0; y < tileH; y++) {
-                const sh = shifts[y] || 0;
-                if (sh === 0) {
-                    for (let x = 0; x < tileW; x++) {
-                        const si = (y * tileW + x) * 4;
-                        const di = si;
-                        dst[di] = src[si];
-                        dst[di + 1] = src[si + 1];
-                        dst[di + 2] = src[si + 2];
-                        dst[di + 3] = src[si + 3];
-                    }
-                } else if (sh < 0) {
-                    for (let x = 1; x < tileW; x++) {
-                        const si = (y * tileW + x) * 4;
-                        const di = (y * tileW + (x + sh)) * 4; // sh=-1 → x-1
-                        dst[di] = src[si];
-                        dst[di + 1] = src[si + 1];
-                        dst[di + 2] = src[si + 2];
-                        dst[di + 3] = src[si + 3];
-                    }
-                } else {
-                    for (let x = tileW - 2; x >= 0; x--) {
-                        const si = (y * tileW + x) * 4;
-                        const di = (y * tileW + (x + sh)) * 4; // sh=+1 → x+1
-                        dst[di] = src[si];
-                        dst[di + 1] = src[si + 1];
-                        dst[di + 2] = src[si + 2];
-                        dst[di + 3] = src[si + 3];
-                    }
-                }
-            }
-
-            dctx.putImageData(out, 0, 0);
-            return {
-                tex: this._createTexture(c),
-                w: tileW,
-                h: tileH
-            };
-        };
-
-        // 0,1행 = -1px (좌), 2행 = +1px (우), 나머지 0
-        const shifts = [-1, -1, +1, 0, 0, 0, 0, 0];
-        this.quoteAlt[34] = buildAlt(34, shifts); // "
-        this.quoteAlt[39] = buildAlt(39, shifts); // '
-    }
-
-    // ---------------------- Metrics Builders ----------------------
-    _buildAdvance(scan, tileW, tileH) {
-        const grid = 16;
-        const adv = new Uint16Array(256);
-
-        const colHasOpaque = (x, y0, y1) => {
-            const {
-                alpha,
-                width
-            } = scan;
-            for (let y = y0; y <= y1; y++)
-                if (alpha[y * width + x] > 0)
-                    return true;
-            return false;
-        };
-
-        for (let idx = 0; idx < 256; idx++) {
-            const cx = idx % grid,
-            cy = (idx / grid) | 0;
-            const x0 = cx * tileW,
-            x1 = x0 + tileW - 1;
-            const y0 = cy * tileH,
-            y1 = y0 + tileH - 1;
-
-            let left = x0,
-            right = x1;
-            for (; left <= x1; left++)
-                if (colHasOpaque(left, y0, y1))
-                    break;
-            for (; right >= x0; right--)
-                if (colHasOpaque(right, y0, y1))
-                    break;
-
-            if (right < left) {
-                adv[idx] = tileW;
-                continue;
-            } // 빈 타일
-            const visible = (right - left + 1);
-            adv[idx] = visible + 1; // +1 spacing
-        }
-        return adv;
-    }
-
-    _buildVerticalMetrics(scan, tileW, tileH) {
-        const grid = 16;
-        let sumCenter = 0,
-        count = 0;
-
-        for (let idx = 0; idx < 256; idx++) {
-            const cx = idx % grid,
-            cy = (idx / grid) | 0;
-            const x0 = cx * tileW,
-            x1 = x0 + tileW - 1;
-            const y0 = cy * tileH,
-            y1 = y0 + tileH - 1;
-
-            let top = -1,
-            bottom = -1;
-            outerTop: for (let y = y0; y <= y1; y++) {
-                for (let x = x0; x <= x1; x++) {
-                    if (scan.alpha[y * scan.width + x] > 0) {
-                        top = y;
-                        break outerTop;
-                    }
-                }
-            }
-            outerBottom: for (let y = y1; y >= y0; y--) {
-                for (let x = x0; x <= x1; x++) {
-                    if (scan.alpha[y * scan.width + x] > 0) {
-                        bottom = y;
-                        break outerBottom;
-                    }
-                }
-            }
-
-            if (top >= 0 && bottom >= 0) {
-                sumCenter += ((top + bottom) / 2 - y0);
-                count++;
-            }
-        }
-
-        const centerRow = count ? (sumCenter / count) : (tileH / 2);
-        return {
-            centerRow,
-            tileH
-        };
-    }
-
-    // ---------------------- GL Utils ----------------------
-    _makeProgram(vsSrc, fsSrc) {
-        const gl = this.gl;
-        const comp = (type, src) => {
-            const s = gl.createShader(type);
-            gl.shaderSource(s, src);
-            gl.compileShader(s);
-            if (!gl.getShaderParameter(s, gl.COMPILE_STATUS))
-                throw new Error(gl.getShaderInfoLog(s));
-            return s;
-        };
-        const p = gl.createProgram();
-        gl.attachShader(p, comp(gl.VERTEX_SHADER, vsSrc));
-        gl.attachShader(p, comp(gl.FRAGMENT_SHADER, fsSrc));
-        gl.linkProgram(p);
-        if (!gl.getProgramParameter(p, gl.LINK_STATUS))
-            throw new Error(gl.getProgramInfoLog(p));
-        return p;
-    }
-
-    _resize() {
-        const w = this.canvas.clientWidth,
-        h = this.canvas.clientHeight;
-        const W = Math.round(w * this.DPR),
-        H = Math.round(h * this.DPR);
-        if (this.canvas.width !== W || this.canvas.height !== H) {
-            this.canvas.width = W;
-            this.canvas.height = H;
-        }
-        this.gl.viewport(0, 0, W, H);
-    }
-
-    _hexToRgb(hex) {
-        const n = hex.replace('#', '');
-        return [
-            parseInt(n.slice(0, 2), 16) / 255,
-            parseInt(n.slice(2, 4), 16) / 255,
-            parseInt(n.slice(4, 6), 16) / 255
-        ];
-    }
-}
+// MCFont.js (final, cleaned)
+// FontPE → WebGL
+// - Ordered & batched draw
+// - Baseline lock/jump prevention
+// - Mixed-mode smart spaces
+// - Glyph tracking (한글 자간 보정)
+// - Always-tweaked ASCII comma
+// - Smart quotes: open/close from the preceding character, “ ” ‘ ’ on the same tiles (default/glyph/mixed)
+// - glyph_00: left margin normalize (ASCII 32~126)
+// - Legacy § formatting codes (color/bold/italic/underline/strike/obfuscated)
+// - JSON text components + click/hover hit regions
+// - Multi-line: '\n' + word/CJK wrapping (maxWidth), per-line align
+// - layout()/measureText(): span generation without GL
+// - Standard Galactic Alphabet (ascii_sga.png): mode 'sga' / font 'minecraft:alt'
+// - Missing pages/empty tiles → notfound.png tile (or missingGlyph), onMissingGlyph(cp)
+// - Resource-pack fonts: loadFont('font/default.json') bitmap/space/reference providers
+// - GNU Unifont .hex (loadUnifont / unihex provider) → on-demand glyph pages
+// - Grapheme clusters: astral pages (glyph_1F6.png), combining marks overlay the base, VS/ZWJ skipped
+// - Frames: beginFrame() → drawText({ x, y, anchor }) × N → endFrame()
+// - Single draw call per frame: all packs in one TEXTURE_2D_ARRAY, per-vertex layer/color
+// - Pluggable backends (MCBackend.js): WebGL2, Canvas 2D fallback with identical pixels
+// - Headless Node entry (MCFontNode.js): pure-JS PNG decode, software raster → RGBA/PNG
+// - Text styles: shadow color/offset/opacity, 8-way outline (glow ink signs), background plate (nametags)
+// - Bidi (MCBidi.js): UBA levels per paragraph, visual reordering, mirrored brackets in RTL
+// - Glyph page cache (MCGlyphCache.js): preload() with progress/AbortSignal, shared in-flight loads, LRU budget
+// - In-memory fonts (registerFont: ImageBitmap/Blob/ArrayBuffer/canvas) + per-draw fallback stack (fonts)
+// - Glyph patches: per-codepoint row shifts/margins/alternate tiles/advance overrides + kerning pairs (built-in tweaks = DEFAULT_PATCHES)
+// - Fit-to-box: largest integer scale that fits (fit), ellipsis/clip truncation measured with real advances
+// - World space (drawWorld): layout into a caller's WebGL2 context at a 3D position, billboard/depth/see-through, GL state restored
+//
+// constructor options:
+//   - canvas, basePath
+//   - missingGlyph  : replacement character for missing glyphs (default null → notfound.png tile)
+//   - onMissingGlyph: (codepoint) => void, called once per missing codepoint
+//   - backend       : 'auto' | 'webgl2' | 'canvas2d' | backend object (default 'auto': WebGL2, else Canvas 2D)
+//   - cache         : GlyphCache, 여러 renderer가 glyph 페이지를 공유할 때 (default renderer마다 새 cache)
+//   - patches       : { glyphs: [규칙], kerning: { 'AV': -1 } } (default MCFontRenderer.DEFAULT_PATCHES)
+//                     glyphs 규칙은 atlas를 로드할 때 (형식은 Glyph Patches 섹션), kerning은 시각적으로 이웃한
+//                     두 글자 사이 px × scale (cache를 같이 쓰는 renderer는 같은 patches를 써야 함)
+//
+// draw() options:
+//   - color       : '#rrggbb' (default '#ffffff')
+//   - align       : 'left' | 'center' | 'right' | 'start' | 'end' (default 'left')
+//                   'start'/'end' = 문단 방향 기준 (RTL 문단에서 'start'는 오른쪽)
+//   - direction   : 'auto' | 'ltr' | 'rtl' 문단 기본 방향 (default 'auto': 첫 strong 문자)
+//   - scale       : number (default 2)
+//   - shadow      : boolean | { color, offset = 1, opacity = 1 } (default true, outline이 있으면 false)
+//                   color: '#rrggbb' | [r, g, b, a] (default 글자색의 그림자색), offset: px × scale (숫자 또는 [x, y])
+//   - outline     : boolean | color | { color, opacity } 8방향 1px × scale 외곽선 (바닐라 발광 잉크) (default false)
+//   - background  : color | { color = [0, 0, 0, 0.25], padding = 1 } 글자 뒤 판 (이름표) (default null)
+//   - ds          : ASCII(default8) scale only (default 1.5)
+//   - spaceMul    : space width mul (default 0.5)
+//   - spacingMul  : advance mul (default 1.0)
+//   - mode        : 'auto' | 'mixed' | 'default' | 'glyph' | 'sga' (default 'auto')
+//                   'sga' = mixed + ASCII를 인챈트 테이블 문자(ascii_sga.png)로
+//                   fonts를 주면 mode는 무시 (mode는 내장 fallback stack의 줄임말, MODE_FONTS)
+//   - font        : loadFont()로 등록한 폰트 이름, 'minecraft:alt'(또는 'alt')는 ASCII를 SGA로
+//                   component의 "font"도 동일 (default null → 'minecraft:default'가 등록돼 있으면 그것)
+//   - fonts       : fallback stack, 글자마다 앞에서부터 그 글자가 있는 첫 폰트 (어디에도 없으면 notfound)
+//                   'default8' | 'ascii'(default8의 ASCII만) | 'sga' | 'glyph' | loadFont()/registerFont() 이름
+//                   예: ['mypack', 'default8', 'glyph'] (default null → mode에서, run의 font는 항상 맨 앞)
+//   - baseline    : 'ascii' | 'glyph' | 'auto' (default 'ascii')
+//   - lockLineH   : boolean, if true lineH=16px*scale (default true)
+//   - glyphTrackPx: extra tracking between consecutive glyphs (default 2)
+//   - asciiAfterGlyphPadPx: in mixed mode, padding before ASCII that follows glyph (default 2.5)
+//   - formatting  : boolean, parse legacy § codes (§0~§f, §k §l §m §n §o §r) (default false)
+//   - maxWidth    : wrap width in canvas px, 0 = no wrap (default 0)
+//   - lineGap     : extra space between lines, px × scale (default 0)
+//   - verticalAlign: 'top' | 'middle' | 'bottom' (default 'middle')
+//   - fit         : { width, height, minScale = 1, maxScale = 8, maxLines = 0, overflow = 'ellipsis' | 'clip', ellipsis }
+//                   상자(캔버스 px)에 들어가는 가장 큰 정수 scale을 고름 (scale 대신, width로 줄바꿈)
+//                   minScale에서도 넘치면 잘라서 말줄임표('…' 또는 '...'), 결과에 scale/truncated 추가
+//
+// beginFrame({ clearColor | transparent }) / drawText(text, { x, y, anchor, ... }) / endFrame()
+//   - 한 캔버스에 여러 문자열, 호출 순서대로(각각 그림자 → 본문) 한 번에 렌더
+//   - text 대신 JSON component도 가능 (이때 formatting 기본값 true)
+//   - fillRect(x, y, w, h, color): 배경 사각형 ('#rrggbb' | [r, g, b, a])
+//   - drawLayout(layout, { x, y, scale, shadow, outline, background, alpha }): layout() 결과를 다시 배치 없이 재사용
+//
+// drawWorld(gl, layout, { viewProj, position, anchor, billboard, size, depthTest, seeThrough, ... }) → boolean
+//   - 호출자의 WebGL2 context(three.js 등)에 world 위치로 (이름표), 바꾼 GL 상태는 복원
+//   - layout은 layout()으로 미리 (그리는 동안 await 없음)
+//
+// render(text, { padding, clearColor, transparent, ... }) → { data, width, height, layout }
+//   - 캔버스/GL 없이 소프트웨어 래스터 (load()만 필요), 텍스트 범위로 잘린 straight RGBA
+//
+// layout(text, opts) / measureText(text, opts): draw()와 같은 배치 계산만 (GL 미사용)
+//   - text 대신 JSON component도 가능 (drawText()와 같음)
+//   - load()만 호출해도 사용 가능 (init() 불필요)
+//   - 정렬(align)은 가장 긴 줄 폭 기준, 좌표는 블록 좌상단 기준
+//   - lines[].direction: 'ltr' | 'rtl' (문단 방향), chars는 시각 순서(왼쪽부터)
+//
+// loadFont(url, { name, resolve }): 리소스팩 font/*.json 등록
+//   - bitmap(file/height/ascent/chars), space(advances), reference(id) provider
+//   - draw의 font 옵션/component "font"로 선택, 'minecraft:default'는 자동 적용
+//   - unihex(hex_file .hex/.zip) provider는 loadUnifont()와 같이 glyph 페이지 소스로 등록
+//
+// registerFont(name, { ascii, pages, providers }): 메모리의 이미지로 폰트 등록 (리소스팩 업로드)
+//   - 이미지: ImageBitmap | canvas | Blob(File) | ArrayBuffer/TypedArray | URL
+//   - ascii: 16×16 격자 atlas(default8처럼), pages: { 'AC': 16×16 격자 페이지 }, providers: bitmap/space
+//
+// loadUnifont(url, { prefer }): Unifont .hex(.zip) → 페이지 단위로 atlas 생성
+//   - 기본은 glyph_XX.png가 없는 페이지에만, prefer: true면 PNG보다 우선
+//
+// draw()/drawComponent() 반환값: layout()과 같은 형태(캔버스 픽셀 좌표)
+//
+// drawComponent(component, opts): JSON text component 렌더
+//   - opts는 draw()와 동일 (formatting 기본값 true)
+//   - regions: clickEvent/hoverEvent/insertion이 있는 run별 { x, y, w, h, ... } (캔버스 픽셀)
+
+import { WebGL2Backend, WebGL2WorldBackend, Canvas2DBackend, rasterize, unpremultiply } from './MCBackend.js';
+import { resolveLevels, visualOrder, isTrailingWhitespace, mirrorOf } from './MCBidi.js';
+import { GlyphCache } from './MCGlyphCache.js';
+
+export class MCFontRenderer {
+    constructor({
+        canvas,
+        basePath = './images/font',
+        missingGlyph = null,
+        onMissingGlyph = null,
+        backend = 'auto',
+        cache = null,
+        patches = MCFontRenderer.DEFAULT_PATCHES
+    } = {}) {
+        this.canvas = canvas;
+        this.basePath = basePath.replace(/\/$/, '');
+
+        // 없는 글자: 대체 문자(예: '?'), null이면 notfound.png 타일
+        // onMissingGlyph(codepoint): 코드포인트마다 한 번 호출(커버리지 로깅용)
+        this.missingGlyph = missingGlyph;
+        this.onMissingGlyph = onMissingGlyph;
+        this._reportedMissing = new Set();
+
+        // 렌더 backend: 'auto'(WebGL2 → Canvas 2D) | 'webgl2' | 'canvas2d' | backend 객체
+        this.backendOption = backend;
+        this.backend = null;
+        this.worldBackends = new Map(); // drawWorld(): 호출자 WebGL2 context → WebGL2WorldBackend
+
+        // Device pixel ratio(최대 2로 클램프: 픽셀 폰트 보존)
+        this.DPR = Math.max(1, Math.min(2, globalThis.devicePixelRatio || 1));
+
+        // Texture packs
+        // pack: { src, w, h, tileW, tileH, scan:{alpha,width,height}, adv[256], vmet:{centerRow,tileH}, alternates }
+        this.ascii = null; // default8.png (8x8)
+        this.glyphs = new Map(); // glyph_XX.png (16x16), key = "00".."FF", "100".. (보조 평면), cache에 있는 것만
+        this.cache = cache ?? new GlyphCache();
+        this._unsubscribeCache = this.cache.subscribe(pack => this._releasePage(pack));
+        this.sga = null; // ascii_sga.png (8x8, 필요할 때 로드)
+        this.notfound = null; // notfound.png (8x8, 모든 타일이 '?')
+        this.missingPages = new Set(); // 로드 실패한 glyph 페이지 → 다시 요청하지 않음
+
+        // 리소스팩 폰트(loadFont), key = 'namespace:name'
+        this.fonts = new Map();
+
+        // Unifont .hex 소스(loadUnifont): codepoint → hex 비트맵, 포함된 페이지 key
+        this.hexGlyphs = new Map();
+        this.hexPages = new Set();
+        this.hexPrefer = false;
+        this.hexSources = []; // 불러온 .hex/.zip URL (cache key용)
+
+        // glyph 패치: atlas 로드 때 픽셀/advance/대체 타일(pack.alternates), layout 때 kerning
+        // kerning key = '왼쪽 cp,오른쪽 cp'
+        this.patches = patches;
+        this.kerning = new Map(Object.entries(patches.kerning || {}).map(([pair, px]) => [[...pair].map(ch => ch.codePointAt(0)).join(','), px]));
+
+        // 밑줄/취소선용 단색 pack(1x1 흰색)
+        this.solid = null;
+
+        // beginFrame() ~ endFrame() 사이에 쌓이는 drawText() 결과
+        this._frame = null;
+    }
+
+    // ------------------------- Init -------------------------
+    async init() {
+        this.backend = this._createBackend(this.backendOption);
+
+        await this.load();
+
+        // Auto-resize
+        new ResizeObserver(() => this._resize()).observe(this.canvas);
+        this._resize();
+    }
+
+    // backend 선택: 'auto'면 WebGL2를 먼저, context를 못 얻으면 Canvas 2D
+    _createBackend(option) {
+        if (typeof option === 'object' && option) {
+            if (!option.init(this.canvas))
+                throw new Error(`Backend '${option.name}' unavailable`);
+            return option;
+        }
+        const candidates = option === 'auto' ? Object.keys(MCFontRenderer.BACKENDS) : [option];
+        for (const name of candidates) {
+            const Backend = MCFontRenderer.BACKENDS[name];
+            if (!Backend)
+                throw new Error(`Unknown backend '${name}'`);
+            const backend = new Backend();
+            if (backend.init(this.canvas))
+                return backend;
+        }
+        throw new Error(option === 'webgl2' ? 'WebGL2 required' : `No usable backend (${candidates.join(', ')})`);
+    }
+
+    // 폰트 데이터만 로드(GL 불필요) → layout()/measureText()만 쓸 때
+    async load() {
+        if (this.ascii)
+            return;
+
+        // 밑줄/취소선용 1x1 흰색 pack
+        const white = this._createCanvas(1, 1);
+        white.getContext('2d').fillRect(0, 0, 1, 1);
+        this.solid = {
+            src: white,
+            w: 1,
+            h: 1,
+            scan: {
+                alpha: new Uint8Array([255]),
+                width: 1,
+                height: 1
+            }
+        };
+
+        // Load default8.png (+ notfound.png, 없으면 default8의 '?'로 대체)
+        [this.ascii, this.notfound] = await Promise.all([
+                    this._loadAtlas(`${this.basePath}/default8.png`, 8, 8, 'default8'),
+                    this._loadAtlas(`${this.basePath}/notfound.png`, 8, 8, 'notfound').catch(() => null)
+                ]);
+    }
+
+    // ------------------------- Draw -------------------------
+    async draw(text, opts = {}) {
+        return this._drawRuns(this._textRuns(text, opts), opts);
+    }
+
+    // JSON text component({"text", "color", "bold", "extra", "clickEvent", ...}) 렌더
+    // → clickEvent/hoverEvent가 있는 run의 hit 영역 반환(캔버스 픽셀 좌표)
+    async drawComponent(component, opts = {}) {
+        const {
+            color = '#ffffff',
+            formatting = true,
+            font = null
+        } = opts;
+
+        const rgb = this._hexToRgb(color);
+        const baseStyle = {
+            color: rgb,
+            shadowColor: this._shadowOf(rgb),
+            font
+        };
+        return this._drawRuns(this._componentRuns(component, baseStyle, formatting), opts);
+    }
+
+    // 그리지 않고 배치만 계산 (GL 미사용)
+    // 반환: { text, width, height, lines[{ x, y, width, height, start, end, direction, chars[{ index, x, w }] }],
+    //         quads[{ index, x, y, w, h, u0, v0, u1, v1, pack, ... }], regions }
+    // index/start/end는 원문(text 인자) 기준 위치, 좌표는 텍스트 블록 좌상단 기준
+    // §k 글자 quad는 tile(atlas 타일 번호)도 가짐 → MCAnimatedText.js가 매 frame 다시 고름
+    async layout(text, opts = {}) {
+        return this._layoutRuns(this._runsFor(text, opts), opts);
+    }
+
+    async measureText(text, opts = {}) {
+        const {
+            width,
+            height,
+            lines
+        } = await this.layout(text, opts);
+        return {
+            width,
+            height,
+            lineCount: lines.length
+        };
+    }
+
+    // 캔버스/GL 없이 텍스트 → RGBA 픽셀 (rasterize(), WebGL과 같은 픽셀), load()만 필요
+    //   - draw() 옵션 + padding(가장자리 여백 px) / clearColor / transparent
+    //   - 텍스트 범위(그림자/외곽선/배경 판/italic 포함)로 잘라서 반환
+    // 반환: { data(straight RGBA), width, height, layout(잘린 이미지 좌표) }
+    async render(text, opts = {}) {
+        const {
+            padding = 0,
+            clearColor = MCFontRenderer.DEFAULT_CLEAR,
+            transparent = false
+        } = opts;
+
+        await this.load();
+        const layout = await this._layoutRuns(this._runsFor(text, opts), opts);
+        if (opts.fit)
+            opts = {
+                ...opts,
+                scale: layout.scale
+            };
+        const under = this._underPasses(opts);
+        const plate = this._plateQuads(layout, opts);
+
+        // layout 상자 + 실제로 칠해지는 범위(그림자/외곽선 오프셋, italic 기울기, 배경 판)
+        const ox = under.map(p => p.x).concat(0),
+        oy = under.map(p => p.y).concat(0);
+        let x0 = 0,
+        y0 = 0,
+        x1 = layout.width,
+        y1 = layout.height;
+        for (const q of layout.quads) {
+            const st = Math.abs(q.skew) / 2;
+            x0 = Math.min(x0, q.x - st + Math.min(...ox));
+            y0 = Math.min(y0, q.y + Math.min(...oy));
+            x1 = Math.max(x1, q.x + q.w + st + Math.max(...ox));
+            y1 = Math.max(y1, q.y + q.h + Math.max(...oy));
+        }
+        for (const q of plate) {
+            x0 = Math.min(x0, q.x);
+            y0 = Math.min(y0, q.y);
+            x1 = Math.max(x1, q.x + q.w);
+            y1 = Math.max(y1, q.y + q.h);
+        }
+        const dx = padding - Math.floor(x0),
+        dy = padding - Math.floor(y0);
+        const width = Math.max(1, Math.ceil(x1) + dx + padding),
+        height = Math.max(1, Math.ceil(y1) + dy + padding);
+        this._offsetLayout(layout, dx, dy);
+        for (const q of plate) {
+            q.x += dx;
+            q.y += dy;
+        }
+
+        const {
+            data
+        } = rasterize({
+            clear: this._clearColor(clearColor, transparent),
+            items: [{
+                    quads: plate
+                }, {
+                    quads: layout.quads,
+                    under
+                }
+            ]
+        }, {
+            data: new Uint8ClampedArray(width * height * 4),
+            width,
+            height
+        });
+        return {
+            data: unpremultiply(data),
+            width,
+            height,
+            layout
+        };
+    }
+
+    // draw()/layout() 공통: 문자열 → styled runs
+    _textRuns(text, opts) {
+        const {
+            color = '#ffffff',
+            formatting = false,
+            font = null
+        } = opts;
+
+        const rgb = this._hexToRgb(color);
+        const baseStyle = {
+            color: rgb,
+            shadowColor: formatting ? this._shadowOf(rgb) : [0.266, 0.266, 0.266],
+            font
+        };
+        return formatting ? this._parseLegacy(text, baseStyle) : [{
+                text,
+                style: baseStyle,
+                start: 0
+            }
+        ];
+    }
+
+    // drawText()/layout() 공통: 문자열 또는 JSON component → styled runs
+    _runsFor(text, opts) {
+        const {
+            color = '#ffffff',
+            formatting = true, // component일 때만 (문자열은 draw()와 같이 기본 false)
+            font = null
+        } = opts;
+
+        if (typeof text === 'string')
+            return this._textRuns(text, opts);
+        const rgb = this._hexToRgb(color);
+        return this._componentRuns(text, {
+            color: rgb,
+            shadowColor: this._shadowOf(rgb),
+            font
+        }, formatting);
+    }
+
+    // component 트리 → runs (start는 이어붙인 component 원문 기준)
+    _componentRuns(component, baseStyle, formatting) {
+        const flat = [];
+        this._flattenComponent(component, baseStyle, flat);
+        let offset = 0;
+        return flat.flatMap(r => {
+            const out = formatting ? this._parseLegacy(r.text, r.style, offset) : [{
+                    ...r,
+                    start: offset
+                }
+            ];
+            offset += r.text.length;
+            return out;
+        });
+    }
+
+    // runs → layout(캔버스 기준 정렬) → GL
+    async _drawRuns(runs, opts = {}) {
+        if (!this.ascii)
+            return;
+
+        this._resize();
+        const layout = await this._layoutRuns(runs, opts, {
+            width: this.canvas.width,
+            height: this.canvas.height
+        });
+        if (opts.fit)
+            opts = {
+                ...opts,
+                scale: layout.scale
+            };
+        // draw()는 그 자체로 한 frame (clear + 그리기), 진행 중인 beginFrame()과는 무관
+        this.backend.render({
+            clear: MCFontRenderer.DEFAULT_CLEAR,
+            items: [{
+                    quads: this._plateQuads(layout, opts)
+                }, {
+                    quads: layout.quads,
+                    under: this._underPasses(opts)
+                }
+            ]
+        });
+        return layout;
+    }
+
+    // ------------------------- Frames -------------------------
+    // beginFrame() → drawText() 여러 번 → endFrame()
+    //   - clearColor: '#rrggbb' | [r, g, b, a] (default draw()와 같은 배경)
+    //   - transparent: true면 투명하게 clear
+    beginFrame(opts = {}) {
+        const {
+            clearColor = MCFontRenderer.DEFAULT_CLEAR,
+            transparent = false
+        } = opts;
+
+        this._resize();
+        this._frame = {
+            clear: this._clearColor(clearColor, transparent),
+            items: [],
+            pending: []
+        };
+    }
+
+    // '#rrggbb' | [r, g, b, a?] → [r, g, b, a] (transparent면 [0, 0, 0, 0])
+    _clearColor(clearColor, transparent) {
+        if (transparent)
+            return [0, 0, 0, 0];
+        const c = typeof clearColor === 'string' ? [...this._hexToRgb(clearColor), 1] : clearColor;
+        return [c[0], c[1], c[2], c[3] ?? 1];
+    }
+
+    // 현재 frame에 문자열(또는 JSON component)을 (x, y) 기준으로 추가
+    //   - x, y  : 캔버스 픽셀 (default 0, 0)
+    //   - anchor: 'top-left' | 'top' | 'top-right' | 'left' | 'center' | 'right'
+    //             | 'bottom-left' | 'bottom' | 'bottom-right' (default 'top-left')
+    //   - 나머지는 draw() 옵션과 동일, 반환값은 캔버스 좌표로 옮긴 layout
+    drawText(text, opts = {}) {
+        const {
+            x = 0,
+            y = 0,
+            anchor = 'top-left'
+        } = opts;
+
+        const frame = this._requireFrame('drawText');
+
+        // 호출 순서대로 그리도록 자리를 먼저 잡아 둠 (배경 판 → 글자)
+        const plate = {
+            quads: []
+        };
+        const item = {
+            quads: [],
+            under: this._underPasses(opts)
+        };
+        frame.items.push(plate, item);
+
+        const job = this._layoutRuns(this._runsFor(text, opts), opts).then(layout => {
+            const [ax, ay] = this._anchorOf(anchor);
+            this._offsetLayout(layout, Math.round(x - layout.width * ax), Math.round(y - layout.height * ay));
+            if (opts.fit) {
+                // 그림자/외곽선/배경 판은 고른 scale로
+                opts = {
+                    ...opts,
+                    scale: layout.scale
+                };
+                item.under = this._underPasses(opts);
+            }
+            plate.quads = this._plateQuads(layout, opts);
+            item.quads = layout.quads;
+            return layout;
+        });
+        frame.pending.push(job);
+        return job;
+    }
+
+    // 현재 frame에 단색 사각형 (채팅 배경 등), 그림자 없음
+    fillRect(x, y, w, h, color = [0, 0, 0, 0.5]) {
+        this._requireFrame('fillRect').items.push({
+            quads: [this._solidQuad(x, y, w, h, this._rgba(color))]
+        });
+    }
+
+    // layout() 결과를 (x, y)만큼 옮겨 현재 frame에 추가 (quads는 복사/수정하지 않음)
+    //   - scale/shadow/outline/background: draw() 옵션과 같음 (layout()에 넘긴 scale과 같게)
+    //   - alpha: 글자/그림자/판 투명도 배율 (default 1)
+    drawLayout(layout, opts = {}) {
+        const {
+            x = 0,
+            y = 0,
+            alpha = 1
+        } = opts;
+
+        this._requireFrame('drawLayout').items.push({
+            quads: this._plateQuads(layout, opts),
+            dx: x,
+            dy: y,
+            alpha
+        }, {
+            quads: layout.quads,
+            under: this._underPasses(opts),
+            dx: x,
+            dy: y,
+            alpha
+        });
+    }
+
+    // anchor 이름 → 블록 안 기준점 비율 [x, y]
+    _anchorOf(anchor) {
+        return [
+            /left/.test(anchor) ? 0 : /right/.test(anchor) ? 1 : 0.5,
+            /top/.test(anchor) ? 0 : /bottom/.test(anchor) ? 1 : 0.5
+        ];
+    }
+
+    _requireFrame(name) {
+        if (!this._frame)
+            throw new Error(`${name}() must be called between beginFrame() and endFrame()`);
+        return this._frame;
+    }
+
+    // 대기 중인 drawText()를 모두 기다린 뒤 한 번에 렌더
+    async endFrame() {
+        const frame = this._frame;
+        if (!frame)
+            return;
+        this._frame = null;
+        await Promise.all(frame.pending);
+        this._keepPages(frame.items);
+        this.backend.render(frame);
+    }
+
+    // 그릴 glyph 페이지: 캐시된 layout이 잡고 있던 정리된 페이지는 cache에 되돌리고(GPU에 다시 올라가도 예산에 잡히게)
+    // 예산을 넘으면 이 frame이 쓰지 않는 페이지부터 정리
+    _keepPages(items) {
+        const packs = new Set();
+        for (const item of items)
+            for (const q of item.quads)
+                packs.add(q.pack);
+        for (const pack of packs)
+            this.cache.revive(pack);
+        this.cache.evict(packs);
+    }
+
+    // layout 좌표 전체 이동 (quads/lines/chars/regions)
+    _offsetLayout(layout, dx, dy) {
+        for (const q of layout.quads) {
+            q.x += dx;
+            q.y += dy;
+        }
+        for (const l of layout.lines) {
+            l.x += dx;
+            l.y += dy;
+            for (const c of l.chars)
+                c.x += dx;
+        }
+        for (const r of layout.regions) {
+            r.x += dx;
+            r.y += dy;
+        }
+        return layout;
+    }
+
+    // ---------------------- World Space ----------------------
+    // layout() 결과를 호출자의 WebGL2 context에 3D 위치로 그림 (three.js/엔진 render loop 안에서, 동기)
+    //   - viewProj : column-major 4×4 view-projection (three.js: projectionMatrix × matrixWorldInverse의 elements)
+    //   - position : [x, y, z] anchor의 world 위치 (default [0, 0, 0])
+    //   - anchor   : drawText()와 같은 이름 (default 'bottom': 머리 위 이름표처럼 위치 위에 섬)
+    //   - billboard: true(카메라를 향함) | 'y'(세로축만 회전) | false(right/up 고정) (default true)
+    //   - right/up : billboard: false일 때 글자 평면의 축 (default [1, 0, 0], [0, 1, 0])
+    //   - size     : font px 하나의 world 크기 (default 0.025, 바닐라 이름표), 멀어지면 작아짐
+    //   - minScreenScale/maxScreenScale: 화면에서 font px 하나의 크기 제한 (px, default 0/Infinity)
+    //                같은 값이면 거리와 상관없이 고정 크기
+    //   - depthTest : 장면에 가려짐 (default true)
+    //   - seeThrough: depth 무시 pass의 투명도, 0이면 없음 (default 0, 바닐라 이름표 0.125;
+    //                 웅크린 플레이어는 seeThrough: 0, alpha: 0.125)
+    //   - scale/shadow/outline/background/alpha: drawLayout()과 같음 (layout()에 넘긴 scale과 같게)
+    // 반환: 그렸으면 true, 위치가 카메라 뒤면 false
+    // viewProj의 1·2행을 카메라 오른쪽/위로 씀 (대칭 투영 기준), GL 상태는 그리고 나서 원래대로
+    drawWorld(gl, layout, opts = {}) {
+        const {
+            viewProj,
+            position = [0, 0, 0],
+            anchor = 'bottom',
+            billboard = true,
+            right = [1, 0, 0],
+            up = [0, 1, 0],
+            size = 0.025,
+            minScreenScale = 0,
+            maxScreenScale = Infinity,
+            depthTest = true,
+            seeThrough = 0,
+            alpha = 1,
+            scale = 2
+        } = opts;
+
+        const m = viewProj;
+        const [x, y, z] = position;
+        // anchor의 clip w (perspective면 카메라 앞 거리)
+        const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+        if (w <= 0)
+            return false;
+
+        // font px 하나가 화면에서 몇 px인지 → 제한 → layout px 하나의 world 길이
+        const pxPerUnit = Math.hypot(m[1], m[5], m[9]) * gl.getParameter(gl.VIEWPORT)[3] / 2 / w;
+        const screenScale = Math.min(maxScreenScale, Math.max(minScreenScale, size * pxPerUnit));
+        const unit = screenScale / pxPerUnit / scale;
+        const axes = this._worldAxes(m, billboard, right, up);
+
+        const [ax, ay] = this._anchorOf(anchor);
+        const dx = -layout.width * ax,
+        dy = -layout.height * ay;
+        const items = [{
+                quads: this._plateQuads(layout, opts),
+                dx,
+                dy,
+                alpha
+            }, {
+                quads: layout.quads,
+                under: this._underPasses(opts),
+                dx,
+                dy,
+                alpha
+            }
+        ];
+        this._keepPages(items);
+        this._worldBackend(gl).render({
+            items
+        }, {
+            viewProj: m,
+            origin: position,
+            right: axes.right.map(v => v * unit),
+            up: axes.up.map(v => v * unit),
+            depthTest,
+            seeThrough
+        });
+        return true;
+    }
+
+    // 글자 평면의 단위 축 { right, up } (viewProj 1행 = 카메라 오른쪽, 2행 = 위)
+    _worldAxes(m, billboard, right, up) {
+        const norm = v => {
+            const len = Math.hypot(...v) || 1;
+            return v.map(c => c / len);
+        };
+        if (billboard === 'y')
+            return {
+                right: norm([m[0], 0, m[8]]),
+                up: [0, 1, 0]
+            };
+        if (billboard)
+            return {
+                right: norm([m[0], m[4], m[8]]),
+                up: norm([m[1], m[5], m[9]])
+            };
+        return {
+            right,
+            up
+        };
+    }
+
+    // context마다 backend 하나 (program/texture array는 context끼리 공유되지 않음)
+    _worldBackend(gl) {
+        let backend = this.worldBackends.get(gl);
+        if (!backend) {
+            backend = new WebGL2WorldBackend();
+            if (!backend.init(gl))
+                throw new Error('drawWorld() requires a WebGL2 context');
+            this.worldBackends.set(gl, backend);
+        }
+        return backend;
+    }
+
+    // ---------------------- Text styles ----------------------
+    // 글자 아래에 먼저 그리는 pass [{ x, y, color, alpha }] (그림자 → 외곽선)
+    //   - shadow : boolean | { color, offset = 1, opacity = 1 } (offset: px × scale, 숫자 또는 [x, y])
+    //   - outline: boolean | color | { color, opacity = 1 }: 8방향 1px × scale (바닐라 발광 잉크 표지판)
+    //              outline이 있으면 shadow 기본값은 false
+    //   - color: '#rrggbb' | [r, g, b, a?], 없으면 글자마다 shadowColor (§ 색이면 그 색의 1/4)
+    _underPasses(opts) {
+        const {
+            scale = 2,
+            outline = false,
+            shadow = !outline
+        } = opts;
+
+        const passes = [];
+        const sh = shadow === true ? {} : shadow;
+        if (sh) {
+            const off = sh.offset ?? 1;
+            const [ox, oy] = Array.isArray(off) ? off : [off, off];
+            passes.push({
+                x: Math.round(ox * scale),
+                y: Math.round(oy * scale),
+                color: sh.color != null ? this._rgba(sh.color) : null,
+                alpha: sh.opacity ?? 1
+            });
+        }
+        const ol = outline === true ? {}
+         : (typeof outline === 'string' || Array.isArray(outline)) ? {
+            color: outline
+        }
+         : outline;
+        if (ol) {
+            const px = Math.max(1, Math.round(scale));
+            const color = ol.color != null ? this._rgba(ol.color) : null;
+            for (let oy = -1; oy <= 1; oy++)
+                for (let ox = -1; ox <= 1; ox++)
+                    if (ox || oy)
+                        passes.push({
+                            x: ox * px,
+                            y: oy * px,
+                            color,
+                            alpha: ol.opacity ?? 1
+                        });
+        }
+        return passes;
+    }
+
+    // background: color | { color = [0, 0, 0, 0.25], padding = 1 } → 줄 전체를 감싸는 판 (이름표처럼)
+    //   - padding: px × scale, 판은 글자 좌표계(layout 좌표) 기준
+    _plateQuads(layout, opts) {
+        const {
+            scale = 2,
+            background = null
+        } = opts;
+
+        if (!background || !layout.lines.length)
+            return [];
+        const bg = (typeof background === 'string' || Array.isArray(background)) ? {
+            color: background
+        }
+         : background;
+        const pad = Math.round((bg.padding ?? 1) * scale);
+        const lines = layout.lines;
+        const x0 = Math.min(...lines.map(l => l.x)),
+        x1 = Math.max(...lines.map(l => l.x + l.width));
+        const y0 = lines[0].y,
+        y1 = lines[lines.length - 1].y + lines[lines.length - 1].height;
+        return [this._solidQuad(x0 - pad, y0 - pad, x1 - x0 + pad * 2, y1 - y0 + pad * 2, this._rgba(bg.color ?? [0, 0, 0, 0.25]))];
+    }
+
+    // 단색 사각형 quad (fillRect, 배경 판)
+    _solidQuad(x, y, w, h, rgba) {
+        return {
+            index: -1,
+            pack: this.solid,
+            x,
+            y,
+            w,
+            h,
+            u0: 0,
+            v0: 0,
+            u1: 1,
+            v1: 1,
+            color: rgba,
+            shadowColor: rgba,
+            skew: 0
+        };
+    }
+
+    // '#rrggbb' | [r, g, b, a?] → [r, g, b, a]
+    _rgba(color) {
+        const c = typeof color === 'string' ? this._hexToRgb(color) : color;
+        return [c[0], c[1], c[2], c[3] ?? 1];
+    }
+
+    // ---------------------- Layout ----------------------
+    // styled runs [{ text, style, start }] → lines/quads (GL 미사용)
+    // frame { width, height }: 주어지면 그 영역 기준으로 줄 정렬/세로 정렬(draw),
+    // 없으면 가장 긴 줄 폭 기준 블록 좌표(layout)
+    async _layoutRuns(runs, opts = {}, frame = null) {
+        if (opts.fit)
+            return this._fitRuns(runs, opts, frame);
+
+        const {
+            align = 'left',
+            scale = 2,
+
+            ds = 1.5,
+            spaceMul = 0.5,
+            spacingMul = 1.0,
+
+            mode = 'auto',
+            baseline = 'ascii',
+            lockLineH = true,
+
+            glyphTrackPx = 2,
+            asciiAfterGlyphPadPx = 2.5,
+
+            maxWidth = 0,
+            lineGap = 0,
+            verticalAlign = 'middle',
+            direction = 'auto',
+            fonts = null
+        } = opts;
+
+        if (!this.ascii)
+            throw new Error('Call init() or load() first');
+
+        // Helpers
+        const dp = (n) => Math.round(n * scale);
+        const grid = 16;
+        const isAsciiCode = (cp) => cp <= 0x7F;
+        const codeHi = (cp) => this._pageKey(cp);
+        const codeLo = (cp) => (cp & 0xFF);
+        const isIgnorable = (cp) => /\p{Default_Ignorable_Code_Point}/u.test(String.fromCodePoint(cp));
+        const isMark = (cp) => /\p{M}/u.test(String.fromCodePoint(cp));
+
+        // Styled runs → 평문 + 글자별 스타일/run 번호/원문 위치
+        const styleAt = [];
+        const runAt = [];
+        const srcAt = [];
+        runs.forEach((run, r) => {
+            for (let k = 0; k < run.text.length; k++) {
+                styleAt.push(run.style);
+                runAt.push(r);
+                srcAt.push((run.start ?? 0) + k);
+            }
+        });
+        const text = runs.map(r => r.text).join('');
+        const clusterEnd = this._clusterEnds(text);
+        const bidiLevel = new Uint8Array(text.length); // 문단마다 resolveLevels()
+        let paraLevel = 0;
+
+        // Fallback stack: fonts 옵션, 없으면 mode에서 (auto = 전부 ASCII면 default, 아니면 glyph)
+        let stack;
+        if (fonts)
+            stack = this._fontStack(fonts);
+        else if (MCFontRenderer.MODE_FONTS[mode])
+            stack = MCFontRenderer.MODE_FONTS[mode];
+        else
+            stack = MCFontRenderer.MODE_FONTS[[...text].every(ch => isAsciiCode(ch.codePointAt(0))) ? 'default' : 'glyph'];
+
+        // stack → defaultOnly: true(8x8 atlas만), false(glyph 페이지만), null(섞임) — 줄 높이/기준선/공백 규칙
+        const asciiLike = stack.some(f => f === 'default8' || f === 'ascii' || f === 'sga' || f.ascii);
+        const glyphLike = stack.some(f => f === 'glyph' || f.pages?.size);
+        const defaultOnly = glyphLike ? (asciiLike ? null : false) : true;
+
+        // 범위상 cp를 맡는 내장 항목 (glyph 페이지를 로드할지, 없는 글자에 자간 보정을 할지)
+        const homeOf = (s, cp) => s.find(f => f === 'glyph' || (typeof f === 'string' && cp <= (f === 'default8' ? 0xFF : 0x7F)));
+
+        // Preload glyph pages
+        const need = new Set();
+        if (defaultOnly === false)
+            need.add('00'); // ASCII glyph page
+        for (const ch of text) {
+            const cp = ch.codePointAt(0);
+            if (isIgnorable(cp))
+                continue; // variation selector, ZWJ 등은 그리지 않음
+            if (homeOf(stack, cp) === 'glyph')
+                need.add(codeHi(cp));
+        }
+        const rep = this.missingGlyph ? this.missingGlyph.codePointAt(0) : null;
+        if (rep != null && homeOf(stack, rep) === 'glyph')
+            need.add(codeHi(rep));
+        const pages = await this._ensureGlyphPacks(need);
+        if (stack.includes('sga') || styleAt.some(st => this._isAltFont(st.font)))
+            await this._ensureSga();
+
+        const asciiPack = this.ascii;
+        const glyph00 = pages.get('00') ?? this.glyphs.get('00');
+
+        // hasGlyph: 조합 안에 glyph가 하나라도?
+        const hasGlyph = defaultOnly === false ||
+            (defaultOnly === null && [...text].some(ch => !isAsciiCode(ch.codePointAt(0))));
+
+        // line height & baseline center(Y) 결정
+        const lineH = lockLineH ? dp(16)
+             : (defaultOnly ? dp(Math.max(8 * ds, 16)) : dp(16));
+
+        let refCenter; // 타일-좌표계에서의 세로 중심(픽셀)
+        if (baseline === 'ascii') {
+            // glyph가 섞이면 ascii center × 2.0으로 고정 → 전환 점프 방지
+            refCenter = asciiPack.vmet.centerRow * (hasGlyph ? 2.0 : ds);
+        } else if (baseline === 'glyph') {
+            refCenter = (glyph00 ? glyph00.vmet.centerRow : asciiPack.vmet.centerRow * 2.0);
+        } else { // auto
+            refCenter = hasGlyph
+                 ? (glyph00 ? glyph00.vmet.centerRow : asciiPack.vmet.centerRow * 2.0)
+                 : (asciiPack.vmet.centerRow * ds);
+        }
+
+        // 밑줄/취소선 기준: ascii 타일 위치
+        const asciiTop = Math.round(dp(refCenter - asciiPack.vmet.centerRow * ds));
+
+        // Generate spans (ordered, 줄 단위)
+        let spans = [];
+        let penX = 0;
+        let prevKind = null; // 'ascii' | 'glyph' | null
+        let boxes = []; // 글자(cluster)별 가로 구간 { index, end, run, x0, x1 } (줄바꿈/hit 영역용)
+
+        let curIndex = 0; // 지금 배치 중인 글자의 원문 위치
+        let curQuote = null; // 지금 배치 중인 따옴표 { cp, open } (quoteAt)
+        const pushQuad = (pack, x, y, w, h, u0, v0, u1, v1, style, skew = 0) => {
+            spans.push({
+                index: curIndex,
+                pack,
+                x,
+                y,
+                w,
+                h,
+                u0,
+                v0,
+                u1,
+                v1,
+                color: style.color,
+                shadowColor: style.shadowColor,
+                skew
+            });
+        };
+
+        // 스타일 적용 타일 출력: italic(기울임), bold(오프셋 이중 출력)
+        const pushStyled = (pack, y, w, h, u0, v0, u1, v1, style, boldOff) => {
+            const skew = style.italic ? Math.round(h * 0.25) : 0;
+            pushQuad(pack, penX, y, w, h, u0, v0, u1, v1, style, skew);
+            if (style.bold)
+                pushQuad(pack, penX + boldOff, y, w, h, u0, v0, u1, v1, style, skew);
+        };
+
+        // §k 글자: 방금 넣은 quad(굵게면 2개)에 타일 번호 기록 → 애니메이션에서 다시 고름
+        const markObfuscated = (style, tile) => {
+            if (!style.obfuscated)
+                return;
+            for (let k = spans.length - (style.bold ? 2 : 1); k < spans.length; k++)
+                spans[k].tile = tile;
+        };
+
+        // 밑줄/취소선: 글자 advance 구간 전체
+        const pushDecorations = (x0, x1, style) => {
+            const t = dp(ds);
+            if (style.underlined)
+                pushQuad(this.solid, x0, asciiTop + dp(8 * ds), x1 - x0, t, 0, 0, 1, 1, style);
+            if (style.strikethrough)
+                pushQuad(this.solid, x0, asciiTop + dp(3.5 * ds), x1 - x0, t, 0, 0, 1, 1, style);
+        };
+
+        // run별 stack: run의 font(loadFont/registerFont, 'minecraft:alt'면 SGA)를 맨 앞에
+        // font가 없는 run은 'minecraft:default'가 등록돼 있으면 그것
+        const stacks = new Map(); // style → stack
+        const stackOf = (style) => {
+            let s = stacks.get(style);
+            if (!s) {
+                const own = this._isAltFont(style.font) ? ['sga', 'ascii']
+                     : [this.fonts.get(this._fontKey(style.font || 'default'))].filter(Boolean);
+                s = [...new Set([...own, ...stack])];
+                stacks.set(style, s);
+            }
+            return s;
+        };
+
+        // 공백/제어 문자는 빈 타일이어도 정상
+        const isBlank = (cp) => /[\s\p{Cc}\p{Cf}]/u.test(String.fromCodePoint(cp));
+        const asciiMissing = (cp) => cp > 0xFF || (!isBlank(cp) && !this._tileHasInk(asciiPack, cp));
+        const glyphMissing = (cp) => {
+            const page = pages.get(codeHi(cp));
+            return !page || (!isBlank(cp) && !this._tileHasInk(page, codeLo(cp)));
+        };
+
+        // stack 항목 f에 있는 cp → { glyph }(provider) | { atlas }(8x8 격자) | { page }(16x16 격자) | null
+        const lookup = (f, cp) => {
+            let atlas = null,
+            page = null;
+            if (f === 'glyph')
+                page = glyphMissing(cp) ? null : pages.get(codeHi(cp));
+            else if (f === 'sga')
+                atlas = cp <= 0x7F && this._tileHasInk(this.sga, cp) ? this.sga : null;
+            else if (typeof f === 'string') // 'default8' | 'ascii'
+                atlas = cp <= (f === 'ascii' ? 0x7F : 0xFF) && !asciiMissing(cp) ? asciiPack : null;
+            else if (f.glyphs.has(cp))
+                return {
+                    glyph: f.glyphs.get(cp)
+                };
+            else if (f.ascii && cp <= 0xFF && this._tileHasInk(f.ascii, cp))
+                atlas = f.ascii;
+            else if (f.pages.has(codeHi(cp)) && this._tileHasInk(f.pages.get(codeHi(cp)), codeLo(cp)))
+                page = f.pages.get(codeHi(cp));
+            if (atlas)
+                return {
+                    atlas
+                };
+            if (page)
+                return {
+                    page
+                };
+            return null;
+        };
+
+        // 앞에서부터 cp가 있는 첫 항목
+        const findGlyph = (style, cp) => {
+            for (const f of stackOf(style)) {
+                const hit = lookup(f, cp);
+                if (hit)
+                    return hit;
+            }
+            return null;
+        };
+
+        // 없는 글자: 대체 문자(있고 표시 가능하면) 또는 notfound 타일
+        const pushMissing = (cp, style) => {
+            this._reportMissing(cp);
+            if (rep != null && rep !== cp && findGlyph(style, rep)) {
+                pushChar(rep, style);
+                return;
+            }
+            if (this.notfound)
+                pushAscii(0, style, this.notfound);
+            else
+                pushAscii(63, style, asciiPack); // '?'
+        };
+
+        // 지금 글자가 따옴표면 patches의 대체 타일(alternate 'open' / 'close'), 없으면 null(원래 타일)
+        const quoteTile = (pack, idx) => curQuote && pack.alternates?.[curQuote.open ? 'open' : 'close']?.[idx] || null;
+
+        // 8x8 격자 atlas 한 칸: default8, SGA, 등록한 ASCII atlas(고해상도면 8px 기준으로 줄임), notfound
+        const pushAscii = (code, style, font) => {
+            // mixed: glyph 뒤에 바로 ASCII 오면 살짝 여백
+            if (defaultOnly === null && prevKind === 'glyph' && asciiAfterGlyphPadPx > 0) {
+                penX += Math.round(scale * asciiAfterGlyphPadPx);
+            }
+
+            if (style.obfuscated)
+                code = this._obfuscate(font, code);
+
+            // 타일 UV
+            let pack = font;
+            const k = 8 / font.tileW;
+            const cx = code % grid,
+            cy = (code / grid) | 0;
+            let u0 = (cx * font.tileW) / pack.w,
+            v0 = (cy * font.tileH) / pack.h;
+            let u1 = ((cx + 1) * font.tileW) / pack.w,
+            v1 = ((cy + 1) * font.tileH) / pack.h;
+
+            // 따옴표 여는/닫는 모양 대체 타일 (markQuotes에서 판정)
+            const alt = quoteTile(font, code);
+            if (alt) {
+                pack = alt;
+                u0 = v0 = 0;
+                u1 = v1 = 1;
+            }
+
+            const myCenter = font.vmet.centerRow * k * ds; // vmet 기준은 해당 atlas
+            const yShift = Math.round(dp(refCenter - myCenter));
+            const boldOff = style.bold ? dp(ds) : 0;
+            const startX = penX;
+            pushStyled(pack, yShift, dp(8 * ds), dp(8 * ds), u0, v0, u1, v1, style, boldOff);
+            markObfuscated(style, code);
+
+            penX += Math.round(dp((((font.adv[code] ?? 9) - 1) * k + 1) * ds) * spacingMul) + boldOff;
+            pushDecorations(startX, penX, style);
+            prevKind = 'ascii';
+        };
+
+        // glyph 연속 자간 보정
+        const trackGlyph = () => {
+            if (glyphTrackPx > 0 && prevKind === 'glyph')
+                penX += Math.round(scale * glyphTrackPx);
+        };
+
+        // 16x16 격자 페이지 한 칸: glyph_XX.png / unifont / 등록한 페이지
+        const pushGlyph = (code, style, pack) => {
+            trackGlyph();
+
+            let lo = codeLo(code);
+            if (style.obfuscated)
+                lo = this._obfuscate(pack, lo);
+            const k = 16 / pack.tileW;
+            const cx = lo % grid,
+            cy = (lo / grid) | 0;
+            let u0 = (cx * pack.tileW) / pack.w,
+            v0 = (cy * pack.tileH) / pack.h;
+            let u1 = ((cx + 1) * pack.tileW) / pack.w,
+            v1 = ((cy + 1) * pack.tileH) / pack.h;
+            let tile = pack;
+            const alt = quoteTile(pack, lo);
+            if (alt) {
+                tile = alt;
+                u0 = v0 = 0;
+                u1 = v1 = 1;
+            }
+
+            const myCenter = pack.vmet.centerRow * k;
+            const yShift = Math.round(dp(refCenter - myCenter));
+            const boldOff = style.bold ? dp(1) : 0;
+            const startX = penX;
+            pushStyled(tile, yShift, dp(16), dp(16), u0, v0, u1, v1, style, boldOff);
+            markObfuscated(style, lo);
+
+            penX += Math.round(dp(((pack.adv[lo] ?? 17) - 1) * k + 1) * spacingMul) + boldOff;
+            pushDecorations(startX, penX, style);
+            prevKind = 'glyph';
+        };
+
+        // bitmap/space provider 글자: GUI 단위 × ds, 기준선은 default8(ascent 7)에 맞춤
+        const pushProvider = (g, style) => {
+            if (defaultOnly === null && prevKind === 'glyph' && asciiAfterGlyphPadPx > 0)
+                penX += Math.round(scale * asciiAfterGlyphPadPx);
+
+            const startX = penX;
+            const boldOff = style.bold && g.pack ? dp(ds) : 0;
+            if (g.pack) {
+                const y = asciiTop + dp((7 - g.ascent) * ds);
+                pushStyled(g.pack, y, dp(g.w * ds), dp(g.h * ds), g.u0, g.v0, g.u1, g.v1, style, boldOff);
+            }
+            penX += Math.round(dp(g.adv * ds) * spacingMul) + boldOff;
+            pushDecorations(startX, penX, style);
+            prevKind = g.pack ? 'ascii' : null;
+        };
+
+        // stack에서 찾은 항목으로 출력, 어디에도 없으면 notfound
+        // (glyph 페이지 범위의 글자는 없어도 자간 보정은 그대로)
+        const pushChar = (cp, style) => {
+            const hit = findGlyph(style, cp);
+            if (hit?.glyph) {
+                pushProvider(hit.glyph, style);
+            } else if (hit?.atlas) {
+                pushAscii(cp, style, hit.atlas);
+            } else if (hit) {
+                pushGlyph(cp, style, hit.page);
+            } else {
+                if (homeOf(stackOf(style), cp) === 'glyph')
+                    trackGlyph();
+                pushMissing(cp, style);
+            }
+        };
+
+        // 결합 문자: 기준 글자 자리(x0)에 겹쳐 그리고 펜은 그대로(x1), 밑줄/취소선은 기준 글자 것만
+        const pushMark = (cp, style, x0, x1) => {
+            const kind = prevKind;
+            const plain = {
+                ...style,
+                underlined: false,
+                strikethrough: false
+            };
+            penX = x0;
+            prevKind = null;
+            const hit = findGlyph(style, cp);
+            if (hit?.glyph)
+                pushProvider(hit.glyph, plain);
+            else if (hit?.page)
+                pushGlyph(cp, plain, hit.page);
+            else
+                this._reportMissing(cp);
+            penX = x1;
+            prevKind = kind;
+        };
+
+        // 따옴표 방향: 논리 순서의 앞 글자로 (RTL 구간은 시각 순서가 반대)
+        //   - 텍스트 시작/공백/여는 괄호·따옴표 뒤 → 여는 따옴표, 그 밖(글자 사이 아포스트로피 등) → 닫는 따옴표
+        //   - “ ” ‘ ’ 는 " ' 타일의 여는/닫는 모양으로 (리소스팩 폰트에 있는 글자/§k는 그대로)
+        // text 위치 → { cp: 34 | 39, open }
+        const isOpener = (cp) => /[\s\p{Ps}\p{Pi}]/u.test(String.fromCodePoint(cp));
+        const quoteAt = new Map();
+        const markQuotes = () => {
+            let prev = null,
+            prevOpen = false;
+            for (let i = 0; i < text.length; i = clusterEnd[i] > i ? clusterEnd[i] : i + 1) {
+                const cp = text.codePointAt(i),
+                style = styleAt[i];
+                const q = MCFontRenderer.QUOTES[cp];
+                let open = false;
+                if (q && !style.obfuscated && !findGlyph(style, cp)?.glyph) {
+                    open = q[1] ?? (prev == null || prevOpen || isOpener(prev));
+                    quoteAt.set(i, {
+                        cp: q[0],
+                        open
+                    });
+                }
+                prev = cp;
+                prevOpen = open;
+            }
+        };
+        markQuotes();
+
+        // 한 줄 배치: [start, end) → { spans, boxes(시각 순서), width }
+        // 글자는 시각 순서(UBA L1~L2)로 왼쪽부터, 공백 규칙(mixed)/여백은 시각적 이웃 기준
+        const layoutLine = (start, end) => {
+            spans = [];
+            boxes = [];
+            penX = 0;
+            prevKind = null;
+
+            // grapheme cluster 단위: 첫 코드포인트가 기준 글자, 나머지는 붙여서
+            const starts = [];
+            for (let i = start; i < end; i = clusterEnd[i] > i ? clusterEnd[i] : i + 1)
+                starts.push(i);
+            const lv = starts.map(i => bidiLevel[i]);
+            for (let k = starts.length - 1; k >= 0 && isTrailingWhitespace(text.codePointAt(starts[k])); k--)
+                lv[k] = paraLevel; // L1: 줄 끝 공백
+            const vis = visualOrder(lv).map(k => starts[k]);
+            const rtlAt = new Set(starts.filter((_, k) => lv[k] & 1));
+            let prevCp = null; // kerning: 왼쪽 글자(cluster의 기준 글자)
+
+            for (let v = 0; v < vis.length; v++) {
+                const i = vis[v];
+                const ce = Math.min(end, clusterEnd[i] > i ? clusterEnd[i] : i + 1);
+                const base = text.codePointAt(i);
+                curQuote = quoteAt.get(i) ?? null;
+                const cp = curQuote ? curQuote.cp : rtlAt.has(i) ? mirrorOf(base) : base; // L4: RTL 괄호 좌우 반전
+                const style = styleAt[i];
+                if (v > 0 && this.kerning.size)
+                    penX += Math.round(scale * (this.kerning.get(`${prevCp},${cp}`) ?? 0)); // 시각 순서 왼쪽·오른쪽 글자
+                prevCp = cp;
+                const startX = penX;
+                curIndex = srcAt[i];
+
+                // 리소스팩 폰트에 정의된 글자가 우선 (공백 포함)
+                const pg = findGlyph(style, cp)?.glyph;
+                if (pg) {
+                    pushProvider(pg, style);
+                } else if (cp === 32) {
+                    // SPACE
+                    if (defaultOnly === null) {
+                        // mixed: 공백 왼쪽/오른쪽 타입에 따라 선택 (cluster의 기준 글자끼리)
+                        const findPrev = () => {
+                            for (let w = v - 1; w >= 0; w--) {
+                                const c2 = text.codePointAt(vis[w]);
+                                if (c2 !== 32)
+                                    return c2;
+                            }
+                            return null;
+                        };
+                        const findNext = () => {
+                            for (let w = v + 1; w < vis.length; w++) {
+                                const c2 = text.codePointAt(vis[w]);
+                                if (c2 !== 32)
+                                    return c2;
+                            }
+                            return null;
+                        };
+                        const prev = findPrev(),
+                        next = findNext();
+                        const bothAscii = (prev != null && isAsciiCode(prev)) && (next != null && isAsciiCode(next));
+                        if (bothAscii) {
+                            penX += Math.round(dp((asciiPack.adv[32] ?? 9) * ds) * spaceMul);
+                        } else {
+                            const advG = (glyph00 ? (glyph00.adv[32] ?? 17) : 17);
+                            penX += Math.round(dp(advG) * spaceMul);
+                        }
+                    } else if (defaultOnly) {
+                        penX += Math.round(dp((asciiPack.adv[32] ?? 9) * ds) * spaceMul);
+                    } else {
+                        const advG = (glyph00 ? (glyph00.adv[32] ?? 17) : 17);
+                        penX += Math.round(dp(advG) * spaceMul);
+                    }
+                    if (style.bold)
+                        penX += defaultOnly === false ? dp(1) : dp(ds);
+                    pushDecorations(startX, penX, style);
+                    prevKind = null; // space는 시퀀스 단절
+                } else if (!isIgnorable(cp)) {
+                    // 문자 렌더
+                    pushChar(cp, style);
+                }
+
+                // cluster의 나머지: 결합 문자는 기준 글자 위에, variation selector/ZWJ는 생략,
+                // 그 밖의 글자(이모지 ZWJ 시퀀스 등)는 이어서 그림
+                curQuote = null;
+                const x1 = penX;
+                for (let j = i + (base > 0xFFFF ? 2 : 1); j < ce; ) {
+                    const c2 = text.codePointAt(j);
+                    curIndex = srcAt[j];
+                    const skip = isIgnorable(c2); // variation selector는 Mn이기도 하므로 먼저 검사
+                    if (!skip && isMark(c2))
+                        pushMark(c2, styleAt[j], startX, x1);
+                    else if (!skip)
+                        pushChar(c2, styleAt[j]);
+                    j += c2 > 0xFFFF ? 2 : 1;
+                }
+
+                boxes.push({
+                    index: i,
+                    end: ce,
+                    run: runAt[i],
+                    x0: startX,
+                    x1: penX
+                });
+            }
+
+            return {
+                spans,
+                boxes,
+                width: penX,
+                start,
+                end,
+                direction: paraLevel & 1 ? 'rtl' : 'ltr'
+            };
+        };
+
+        // 문단 하나를 maxWidth에 맞춰 여러 줄로
+        // 후보: 공백 앞(라틴 단어 사이), 한글/CJK 글자 사이(금칙 문자 제외)
+        const wrapParagraph = (ps, pe) => {
+            let start = ps;
+            for (;;) {
+                const line = layoutLine(start, pe);
+                if (!(maxWidth > 0) || line.width <= maxWidth) {
+                    lines.push(line);
+                    return;
+                }
+
+                // 후보는 논리 순서로, 폭은 cluster 폭 누적
+                let end = -1;
+                const bx = [...line.boxes].sort((a, b) => a.index - b.index);
+                let acc = 0;
+                const right = bx.map(b => acc += b.x1 - b.x0);
+                for (let k = 1; k < bx.length; k++) {
+                    const j = bx[k].index,
+                    pj = bx[k - 1].index; // 앞 cluster
+                    const atSpace = text[j] === ' ' && text[pj] !== ' ';
+                    const atCJK = text[j] !== ' ' && text[pj] !== ' ' &&
+                        this._canBreakCJK(text.codePointAt(pj), text.codePointAt(j));
+                    if (!atSpace && !atCJK)
+                        continue;
+                    if (right[k - 1] > maxWidth)
+                        break;
+                    end = j;
+                }
+                if (end < 0) {
+                    // 후보 없음(긴 단어): 들어가는 데까지 글자 단위로, 최소 한 글자
+                    end = bx[0].end;
+                    bx.forEach((b, k) => {
+                        if (right[k] <= maxWidth)
+                            end = b.end;
+                    });
+                }
+
+                let next = end;
+                while (next < pe && text[next] === ' ')
+                    next = clusterEnd[next] > next ? clusterEnd[next] : next + 1; // 줄 끝 공백은 버림
+                lines.push(layoutLine(start, end));
+                if (next >= pe)
+                    return;
+                start = next;
+            }
+        };
+
+        const lines = [];
+        let paraStart = 0;
+        for (let i = 0; i <= text.length; i++) {
+            if (i < text.length && text[i] !== '\n')
+                continue;
+            const paraEnd = (i > paraStart && text[i - 1] === '\r') ? i - 1 : i;
+            const bidi = resolveLevels(text, paraStart, paraEnd, direction);
+            bidiLevel.set(bidi.levels, paraStart);
+            paraLevel = bidi.level;
+            wrapParagraph(paraStart, paraEnd);
+            paraStart = i + 1;
+        }
+
+        // Align: 줄마다 가로 정렬, 블록 전체 세로 정렬
+        const gapPx = dp(lineGap);
+        const width = Math.max(...lines.map(l => l.width));
+        const totalH = lines.length * lineH + (lines.length - 1) * gapPx;
+        const areaW = frame ? frame.width : width;
+        let baseY = 0;
+        if (frame) {
+            baseY = (frame.height - totalH) / 2;
+            if (verticalAlign === 'top')
+                baseY = 0;
+            else if (verticalAlign === 'bottom')
+                baseY = frame.height - totalH;
+        }
+
+        lines.forEach((line, n) => {
+            // start/end: 문단 방향 기준
+            const rtl = line.direction === 'rtl';
+            const a = align === 'start' ? (rtl ? 'right' : 'left') : align === 'end' ? (rtl ? 'left' : 'right') : align;
+            let baseX = 0;
+            if (a === 'center')
+                baseX = (areaW - line.width) / 2;
+            else if (a === 'right')
+                baseX = (areaW - line.width);
+            line.x = baseX;
+            line.y = baseY + n * (lineH + gapPx);
+            for (const q of line.spans) {
+                q.x += line.x;
+                q.y += line.y;
+            }
+        });
+
+        // Hit regions: click/hover 이벤트가 있는 run마다 줄별 사각형 하나
+        const regions = [];
+        runs.forEach((run, r) => {
+            const {
+                clickEvent,
+                hoverEvent,
+                insertion
+            } = run.style;
+            if (!clickEvent && !hoverEvent && !insertion)
+                return;
+            for (const line of lines) {
+                const own = line.boxes.filter(b => b.run === r);
+                if (!own.length)
+                    continue;
+                const x0 = Math.min(...own.map(b => b.x0));
+                const x1 = Math.max(...own.map(b => b.x1));
+                regions.push({
+                    x: Math.round(line.x + x0),
+                    y: Math.round(line.y),
+                    w: x1 - x0,
+                    h: lineH,
+                    text: run.text,
+                    clickEvent,
+                    hoverEvent,
+                    insertion
+                });
+            }
+        });
+
+        // 줄 범위(start/end)와 글자 위치는 원문 기준으로
+        const srcEnd = (i, start) => i > start ? srcAt[i - 1] + 1 : (srcAt[start] ?? text.length);
+        return {
+            text,
+            width,
+            height: totalH,
+            lines: lines.map(l => ({
+                    x: l.x,
+                    y: l.y,
+                    width: l.width,
+                    height: lineH,
+                    start: srcAt[l.start] ?? srcEnd(l.start, l.start),
+                    end: srcEnd(l.end, l.start),
+                    direction: l.direction,
+                    chars: l.boxes.map(b => ({
+                            index: srcAt[b.index],
+                            x: l.x + b.x0,
+                            w: b.x1 - b.x0
+                        }))
+                })),
+            quads: lines.flatMap(l => l.spans),
+            regions
+        };
+    }
+
+    // fit: 정해진 상자(툴팁, 이름표)에 맞는 가장 큰 정수 scale → layout + { scale, truncated }
+    //   - maxScale부터 한 단계씩 줄이며 width로 줄바꿈, width/height/maxLines 안에 들어가면 그 scale
+    //   - minScale에서도 넘치면 들어가는 줄까지만 남기고 마지막 줄 끝을 잘라 말줄임표(실제 advance로 측정)
+    //     overflow 'clip'이면 말줄임표 없이 자르기만
+    async _fitRuns(runs, opts, frame) {
+        const {
+            width = Infinity,
+            height = Infinity,
+            minScale = 1,
+            maxScale = 8,
+            maxLines = 0,
+            overflow = 'ellipsis',
+            ellipsis = null
+        } = opts.fit;
+        const base = {
+            ...opts,
+            fit: null,
+            maxWidth: Number.isFinite(width) ? width : opts.maxWidth
+        };
+        const fits = (l) => l.width <= width && l.height <= height && (!maxLines || l.lines.length <= maxLines);
+        const lo = Math.max(1, Math.ceil(minScale));
+
+        let layout;
+        for (let scale = Math.max(lo, Math.floor(maxScale)); scale >= lo; scale--) {
+            layout = await this._layoutRuns(runs, {
+                ...base,
+                scale
+            }, frame);
+            if (fits(layout))
+                return {
+                    ...layout,
+                    scale,
+                    truncated: false
+                };
+        }
+
+        // minScale: 높이/maxLines 안에 들어가는 줄 수 (최소 한 줄)
+        const opt = {
+            ...base,
+            scale: lo
+        };
+        const lines = layout.lines;
+        let n = 1;
+        while (n < lines.length && (!maxLines || n < maxLines) &&
+            lines[n].y + lines[n].height - lines[0].y <= height)
+            n++;
+
+        // 마지막 줄을 글자(cluster) 경계에서 자름: 남길 수 있는 가장 긴 앞부분 (이분 탐색)
+        const last = lines[n - 1];
+        const cuts = [...new Set([last.start, ...last.chars.map(c => c.index).filter(i => i > last.start).sort((a, b) => a - b), last.end])];
+        const tail = overflow === 'clip' ? '' : ellipsis ?? this._ellipsisFor(runs, opts);
+        const tryCut = (end) => this._layoutRuns(this._truncateRuns(runs, end, tail), opt, frame);
+        const cutFits = (l) => l.width <= width && l.height <= height && l.lines.length <= n;
+        let best = await tryCut(cuts[0]);
+        let a = 1,
+        b = cuts.length - 1;
+        while (a <= b) {
+            const m = (a + b) >> 1;
+            const l = await tryCut(cuts[m]);
+            if (cutFits(l)) {
+                best = l;
+                a = m + 1;
+            } else {
+                b = m - 1;
+            }
+        }
+        // 말줄임표만으로도 넘치면(글자 하나보다 좁은 상자 등) 상자 안에 온전히 들어가는 것만
+        if (!cutFits(best))
+            best = this._clipLayout(best, width, height, n);
+        return {
+            ...best,
+            scale: lo,
+            truncated: true
+        };
+    }
+
+    // 상자(width × height, 줄 maxLines개) 밖으로 나가는 줄/글자/quad를 버린 layout (빈 layout일 수 있음)
+    _clipLayout(layout, width, height, maxLines) {
+        const lines = layout.lines;
+        if (!lines.length)
+            return layout;
+        const top = lines[0].y,
+        left = Math.min(...lines.map(l => l.x));
+        let k = 0;
+        while (k < lines.length && k < maxLines && lines[k].y + lines[k].height - top <= height)
+            k++;
+        const right = left + width,
+        bottom = k ? lines[k - 1].y + lines[k - 1].height : top;
+        const kept = lines.slice(0, k).map(l => {
+            const chars = l.chars.filter(c => c.x + c.w <= right);
+            return {
+                ...l,
+                width: Math.max(0, ...chars.map(c => c.x + c.w - l.x)),
+                chars
+            };
+        });
+        // quad는 남은 글자 것만 (tile은 advance보다 넓을 수 있음)
+        const chars = new Set(kept.flatMap(l => l.chars.map(c => c.index)));
+        return {
+            ...layout,
+            width: Math.max(0, ...kept.map(l => l.x + l.width - left)),
+            height: bottom - top,
+            lines: kept,
+            quads: layout.quads.filter(q => chars.has(q.index)),
+            regions: layout.regions.filter(r => r.x + r.w <= right && r.y + r.h <= bottom)
+        };
+    }
+
+    // 원문 위치 end 앞까지만 남긴 runs (끝 공백 제거) + 말줄임표 run(마지막 글자 스타일)
+    _truncateRuns(runs, end, tail) {
+        const out = [];
+        for (const run of runs) {
+            const start = run.start ?? 0;
+            if (start >= end)
+                break;
+            out.push({
+                ...run,
+                text: run.text.slice(0, end - start)
+            });
+        }
+        while (out.length) {
+            const run = out[out.length - 1];
+            run.text = run.text.trimEnd();
+            if (run.text)
+                break;
+            out.pop();
+        }
+        if (tail)
+            out.push({
+                text: tail,
+                style: (out[out.length - 1] ?? runs[0]).style,
+                start: end
+            });
+        return out;
+    }
+
+    // 말줄임표: glyph 페이지로 그리면 '…'(U+2026), 아니면 '...'
+    // (ASCII만 있는 텍스트에 '…'를 붙이면 auto/mixed의 줄 높이/기준선이 바뀌므로 그때도 '...')
+    _ellipsisFor(runs, opts) {
+        const {
+            mode = 'auto',
+            fonts = null
+        } = opts;
+        const nonAscii = runs.some(r => /[^\x00-\x7F]/.test(r.text));
+        if (!fonts && !MCFontRenderer.MODE_FONTS[mode])
+            return nonAscii ? '…' : '...'; // auto: ASCII가 아닌 글자가 있으면 glyph
+        const stack = fonts ? this._fontStack(fonts) : MCFontRenderer.MODE_FONTS[mode];
+        if (!stack.includes('glyph'))
+            return '...';
+        return stack.length === 1 || nonAscii ? '…' : '...';
+    }
+
+    // 한글/CJK 글자 사이 줄바꿈 허용 여부 (여는 괄호 뒤, 닫는 문장부호 앞은 금지)
+    _canBreakCJK(a, b) {
+        const isCJK = (cp) =>
+        (cp >= 0x1100 && cp <= 0x11FF) || // Hangul Jamo
+        (cp >= 0x2E80 && cp <= 0x9FFF) || // CJK 부수 ~ 통합 한자(가나 포함)
+        (cp >= 0xA960 && cp <= 0xA97F) ||
+        (cp >= 0xAC00 && cp <= 0xD7FF) || // Hangul Syllables
+        (cp >= 0xF900 && cp <= 0xFAFF) ||
+        (cp >= 0xFF00 && cp <= 0xFFEF) || // 전각
+        (cp >= 0x20000 && cp <= 0x3FFFF);
+        if (!isCJK(a) && !isCJK(b))
+            return false;
+        const noStart = ')]}>,.!?:;%\'"”’、。，．：；！？）］｝〉》」』】〕ー…々ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ';
+        const noEnd = '([{<“‘（［｛〈《「『【〔';
+        return !noStart.includes(String.fromCodePoint(b)) && !noEnd.includes(String.fromCodePoint(a));
+    }
+
+    // ---------------------- Formatting ----------------------
+    // Legacy § 코드 → styled runs [{ text, style }]
+    // 색상 코드는 스타일(bold 등)을 초기화, §r은 기본 스타일로 복귀
+    _parseLegacy(text, baseStyle, offset = 0) {
+        const {
+            bold,
+            italic,
+            underlined,
+            strikethrough,
+            obfuscated,
+            ...plain
+        } = baseStyle; // 서식 플래그를 뺀 기본 스타일(click/hover 등은 유지)
+        const runs = [];
+        let style = baseStyle;
+        let buf = '';
+        let bufStart = 0;
+        const flush = () => {
+            if (buf)
+                runs.push({
+                    text: buf,
+                    style,
+                    start: offset + bufStart
+                });
+            buf = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (ch !== '§' || i + 1 >= text.length) {
+                if (!buf)
+                    bufStart = i;
+                buf += ch;
+                continue;
+            }
+            const code = text[++i].toLowerCase();
+            const colorIdx = '0123456789abcdef'.indexOf(code);
+            flush();
+            if (colorIdx >= 0) {
+                const rgb = MCFontRenderer.LEGACY_COLORS[colorIdx];
+                style = {
+                    ...plain,
+                    color: rgb,
+                    shadowColor: this._shadowOf(rgb)
+                };
+            } else if (code === 'r') {
+                style = baseStyle;
+            } else {
+                const flag = {
+                    k: 'obfuscated',
+                    l: 'bold',
+                    m: 'strikethrough',
+                    n: 'underlined',
+                    o: 'italic'
+                }[code];
+                if (flag)
+                    style = {
+                        ...style,
+                        [flag]: true
+                    };
+                // 알 수 없는 코드는 무시(바닐라 동작)
+            }
+        }
+        flush();
+        return runs;
+    }
+
+    // JSON text component 트리 → styled runs (부모 스타일 상속)
+    _flattenComponent(comp, parentStyle, out) {
+        if (comp == null)
+            return;
+        if (typeof comp !== 'object') {
+            // 문자열/숫자/불리언 → 부모 스타일 그대로
+            if (String(comp))
+                out.push({
+                    text: String(comp),
+                    style: parentStyle
+                });
+            return;
+        }
+        if (Array.isArray(comp)) {
+            // [부모, ...형제] : 나머지는 첫 요소의 extra처럼 상속
+            if (!comp.length)
+                return;
+            const [head, ...rest] = comp;
+            const headObj = (head && typeof head === 'object' && !Array.isArray(head)) ? head : {
+                text: head
+            };
+            this._flattenComponent({
+                ...headObj,
+                extra: [...(headObj.extra || []), ...rest]
+            }, parentStyle, out);
+            return;
+        }
+
+        const style = {
+            ...parentStyle
+        };
+        if (comp.color != null) {
+            const rgb = this._parseColor(comp.color);
+            if (rgb) {
+                style.color = rgb;
+                style.shadowColor = this._shadowOf(rgb);
+            }
+        }
+        for (const key of['bold', 'italic', 'underlined', 'strikethrough', 'obfuscated']) {
+            if (comp[key] != null)
+                style[key] = comp[key] === true || comp[key] === 'true';
+        }
+        for (const key of['clickEvent', 'hoverEvent', 'insertion', 'font']) {
+            if (comp[key] != null)
+                style[key] = comp[key];
+        }
+
+        if (comp.text != null && String(comp.text))
+            out.push({
+                text: String(comp.text),
+                style
+            });
+        for (const child of comp.extra || [])
+            this._flattenComponent(child, style, out);
+    }
+
+    // 'red' 같은 이름 색상 또는 '#rrggbb'
+    _parseColor(name) {
+        if (/^#[0-9a-f]{6}$/i.test(name))
+            return this._hexToRgb(name);
+        const idx = MCFontRenderer.COLOR_NAMES.indexOf(String(name).toLowerCase());
+        return idx >= 0 ? MCFontRenderer.LEGACY_COLORS[idx] : null;
+    }
+
+    // 바닐라 그림자 색: (rgb & 0xFCFCFC) >> 2
+    _shadowOf(rgb) {
+        return rgb.map(c => (Math.round(c * 255) >> 2) / 255);
+    }
+
+    // §k: 같은 advance를 가진 임의의 타일 선택
+    _obfuscate(pack, idx) {
+        if (!pack.byAdv) {
+            pack.byAdv = new Map();
+            for (let i = 33; i < 256; i++) {
+                if (!this._tileHasInk(pack, i))
+                    continue;
+                const a = pack.adv[i];
+                if (!pack.byAdv.has(a))
+                    pack.byAdv.set(a, []);
+                pack.byAdv.get(a).push(i);
+            }
+        }
+        const list = pack.byAdv.get(pack.adv[idx]);
+        return list ? list[(Math.random() * list.length) | 0] : idx;
+    }
+
+    // 코드포인트 → glyph 페이지 key ("00".."FF", 보조 평면은 "100".."10FF" → glyph_1F6.png)
+    _pageKey(cp) {
+        return (cp >>> 8).toString(16).padStart(2, '0').toUpperCase();
+    }
+
+    // 글자(grapheme cluster) 경계: cluster 시작 위치 → 끝 위치, cluster 중간은 -1
+    _clusterEnds(text) {
+        const ends = new Int32Array(text.length).fill(-1);
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            this._segmenter ??= new Intl.Segmenter(undefined, {
+                granularity: 'grapheme'
+            });
+            for (const {
+                index,
+                segment
+            }
+                of this._segmenter.segment(text))
+                ends[index] = index + segment.length;
+            return ends;
+        }
+
+        // Segmenter가 없으면: 코드포인트 단위, 결합 문자/이음 문자(와 ZWJ 다음 글자)는 앞 글자에 붙임
+        let last = -1,
+        joined = false;
+        for (let i = 0; i < text.length; ) {
+            const cp = text.codePointAt(i),
+            n = cp > 0xFFFF ? 2 : 1;
+            const attach = last >= 0 && text[last] !== '\n' && text[last] !== '\r' &&
+                (joined || /[\p{M}\p{Default_Ignorable_Code_Point}]/u.test(String.fromCodePoint(cp)));
+            if (attach)
+                ends[last] = i + n;
+            else {
+                last = i;
+                ends[i] = i + n;
+            }
+            joined = cp === 0x200D;
+            i += n;
+        }
+        return ends;
+    }
+
+    // 타일에 불투명 픽셀이 있는지 (pack별 256칸 캐시)
+    _tileHasInk(pack, idx) {
+        if (!pack.ink) {
+            const {
+                alpha,
+                width
+            } = pack.scan;
+            pack.ink = new Uint8Array(256);
+            for (let i = 0; i < 256; i++) {
+                const x0 = (i % 16) * pack.tileW,
+                y0 = ((i / 16) | 0) * pack.tileH;
+                scan: for (let y = y0; y < y0 + pack.tileH; y++) {
+                    for (let x = x0; x < x0 + pack.tileW; x++) {
+                        if (alpha[y * width + x] > 0) {
+                            pack.ink[i] = 1;
+                            break scan;
+                        }
+                    }
+                }
+            }
+        }
+        return pack.ink[idx] === 1;
+    }
+
+    _reportMissing(cp) {
+        if (!this.onMissingGlyph || this._reportedMissing.has(cp))
+            return;
+        this._reportedMissing.add(cp);
+        this.onMissingGlyph(cp);
+    }
+
+    // ---------------------- Resource-pack Fonts ----------------------
+    // font/*.json (providers) 로드 → this.fonts에 등록
+    //   - name   : 기본값은 경로에서 (assets/<ns>/font/<name>.json → '<ns>:<name>')
+    //   - resolve: (resourceLocation, kind) => url, kind = 'texture' | 'font' | 'file'
+    //              기본값은 url의 assets/ 루트 기준, 없으면 json과 같은 폴더
+    // 'minecraft:default'로 등록하면 font를 지정하지 않은 텍스트에 적용
+    // 폰트에 없는 글자는 내장 default8/glyph 페이지로 그린다
+    async loadFont(url, {
+        name = null,
+        resolve = null
+    } = {}) {
+        const res = await this._fetch(url);
+        if (!res.ok)
+            throw new Error('Failed to load ' + url);
+        const def = await res.json();
+
+        const key = this._fontKey(name || this._fontNameFromUrl(url));
+        const font = {
+            name: key,
+            glyphs: new Map(), // codepoint → { pack, u0, v0, u1, v1, w, h, ascent, adv } | { adv } (space)
+            ascii: null, // registerFont()의 8x8 격자 atlas
+            pages: new Map() // registerFont()의 16x16 격자 페이지, key = _pageKey()
+        };
+        const entries = await this._loadProviders(def.providers || [], url, resolve || ((loc, kind) => this._resolveAsset(url, loc, kind)));
+        for (const [cp, g] of entries) {
+            if (!font.glyphs.has(cp))
+                font.glyphs.set(cp, g); // 앞선 provider 우선(바닐라와 동일)
+        }
+        this._setFont(key, font);
+        return font;
+    }
+
+    // 메모리에 있는 이미지로 폰트 등록 (브라우저에서 리소스팩 업로드 등)
+    //   - ascii    : default8.png 같은 16×16 격자 atlas (U+0000~00FF, 타일 크기는 이미지/16)
+    //   - pages    : { 'AC': glyph_AC.png 같은 16×16 격자 페이지, ... } (key = 페이지 hex)
+    //   - providers: bitmap(file = 이미지)/space provider, 형식은 font/*.json과 같음
+    //   이미지: ImageBitmap | canvas | Blob(File) | ArrayBuffer/TypedArray(PNG 등) | URL 문자열
+    // 이름은 loadFont()와 같은 네임스페이스 (draw의 font/fonts 옵션, 'minecraft:default'는 자동 적용)
+    async registerFont(name, {
+        ascii = null,
+        pages = {},
+        providers = []
+    } = {}) {
+        const key = this._fontKey(name);
+        const font = {
+            name: key,
+            glyphs: new Map(),
+            ascii: null,
+            pages: new Map()
+        };
+        const grid = async(source, page = null) => {
+            const src = await this._sourceCanvas(source);
+            return this._packFromCanvas(src, src.width / 16, src.height / 16, key, page);
+        };
+        const [asciiPack, pagePacks, entries] = await Promise.all([
+                    ascii && grid(ascii),
+                    Promise.all(Object.entries(pages).map(async([hi, source]) => [this._pageKey(parseInt(hi, 16) << 8), await grid(source, this._pageKey(parseInt(hi, 16) << 8))])),
+                    this._loadProviders(providers.filter(p => /^(minecraft:)?(bitmap|space)$/.test(p.type || '')), null, source => source)
+                ]);
+        font.ascii = asciiPack || null;
+        font.pages = new Map(pagePacks);
+        for (const [cp, g] of entries) {
+            if (!font.glyphs.has(cp))
+                font.glyphs.set(cp, g);
+        }
+        this._setFont(key, font);
+        return font;
+    }
+
+    // 같은 이름으로 다시 등록하면 이전 폰트의 GPU layer 반납
+    _setFont(key, font) {
+        const old = this.fonts.get(key);
+        if (old) {
+            const packs = new Set([old.ascii, ...old.pages.values(), ...[...old.glyphs.values()].map(g => g.pack)]);
+            for (const pack of packs)
+                if (pack)
+                    this._releasePack(pack);
+        }
+        this.fonts.set(key, font);
+    }
+
+    // fonts 옵션(이름 배열) → fallback stack
+    //   내장: 'default8'(U+0000~00FF) | 'ascii'(default8의 ASCII만) | 'sga'('alt') | 'glyph'(glyph 페이지)
+    //   그 밖의 이름은 loadFont()/registerFont()로 등록한 폰트, notfound는 항상 마지막
+    _fontStack(names) {
+        const out = [];
+        for (const name of names) {
+            if (name === 'notfound')
+                continue;
+            const entry = this._isAltFont(name) ? 'sga'
+                 : MCFontRenderer.BUILTIN_FONTS.includes(name) ? name
+                 : this.fonts.get(this._fontKey(name));
+            if (!entry)
+                throw new Error(`Unknown font '${name}'`);
+            if (!out.includes(entry))
+                out.push(entry);
+        }
+        return out;
+    }
+
+    // providers → [codepoint, glyph][] (provider 순서 유지)
+    async _loadProviders(providers, url, resolve) {
+        const lists = await Promise.all(providers.map(async(p) => {
+                    const type = String(p.type || '').replace(/^minecraft:/, '');
+                    if (type === 'bitmap')
+                        return this._loadBitmapProvider(p, await this._sourceCanvas(resolve(p.file, 'texture')));
+                    if (type === 'space')
+                        return Object.entries(p.advances || {}).map(([ch, adv]) => [ch.codePointAt(0), {
+                                        adv
+                                    }
+                                ]);
+                    if (type === 'reference') {
+                        const refUrl = resolve(p.id, 'font');
+                        const res = await this._fetch(refUrl);
+                        if (!res.ok)
+                            throw new Error('Failed to load ' + refUrl);
+                        return this._loadProviders((await res.json()).providers || [], refUrl, resolve);
+                    }
+                    if (type === 'unihex') {
+                        // glyph 페이지 소스로 등록 → 앞 provider에 없는 글자가 사용 (size_overrides는 스캔 advance로 대신)
+                        await this.loadUnifont(resolve(p.hex_file, 'file'));
+                        return [];
+                    }
+                    return []; // ttf 등 지원하지 않는 provider는 건너뜀
+                }));
+        return lists.flat();
+    }
+
+    // bitmap provider: chars 행/열로 이미지(src 캔버스)를 나눔, 크기는 height(GUI 단위) 기준
+    _loadBitmapProvider(p, src) {
+        const rows = (p.chars || []).map(row => [...row]);
+        const cols = Math.max(1, ...rows.map(r => r.length));
+        const tileW = src.width / cols,
+        tileH = src.height / rows.length;
+        const scan = this._scanAlpha(src);
+        const adv = this._buildAdvance(scan, tileW, tileH, cols, rows.length);
+        const pack = {
+            src,
+            w: src.width,
+            h: src.height,
+            tileW,
+            tileH,
+            scan,
+            adv
+        };
+
+        const height = p.height ?? 8;
+        const sf = height / tileH; // 타일 픽셀 → GUI 단위
+        const out = [];
+        rows.forEach((row, cy) => row.forEach((ch, cx) => {
+                const cp = ch.codePointAt(0);
+                if (cp === 0)
+                    return; // \u0000 = 빈 칸
+                const a = adv[cy * cols + cx];
+                out.push([cp, {
+                            pack,
+                            u0: (cx * tileW) / src.width,
+                            v0: (cy * tileH) / src.height,
+                            u1: ((cx + 1) * tileW) / src.width,
+                            v1: ((cy + 1) * tileH) / src.height,
+                            w: tileW * sf,
+                            h: height,
+                            ascent: p.ascent ?? 7,
+                            adv: Math.round((a - 1) * sf) + 1
+                        }
+                    ]);
+            }));
+        return out;
+    }
+
+    // 'ns:path' → URL (assets/ 루트가 있으면 바닐라 경로 규칙, 없으면 json 폴더 + 파일명)
+    _resolveAsset(baseUrl, loc, kind) {
+        const [ns, path] = loc.includes(':') ? loc.split(':') : ['minecraft', loc];
+        const file = kind === 'font' ? `${path}.json` : path;
+        const at = baseUrl.lastIndexOf('/assets/');
+        if (at >= 0)
+            return `${baseUrl.slice(0, at)}/assets/${ns}/${{ font: 'font/', texture: 'textures/' }[kind] || ''}${file}`;
+        return baseUrl.replace(/[^/]*$/, '') + file.split('/').pop();
+    }
+
+    _fontNameFromUrl(url) {
+        const m = /assets\/([^/]+)\/font\/(.+)\.json$/.exec(url);
+        return m ? `${m[1]}:${m[2]}` : url.split('/').pop().replace(/\.json$/, '');
+    }
+
+    _fontKey(name) {
+        return name.includes(':') ? name : `minecraft:${name}`;
+    }
+
+    // ---------------------- Unifont (.hex) ----------------------
+    // GNU Unifont .hex ("XXXX:비트맵hex" 줄, 8 또는 16px 폭 × 16px) → glyph 페이지 소스
+    //   - .zip이면 안의 .hex 파일들을 읽음 (바닐라 unifont.zip)
+    //   - prefer: true면 PNG 페이지보다 우선, 기본은 PNG가 없는 페이지에만 사용
+    //   - 페이지(256자)는 처음 필요할 때 atlas로 만든다 (_ensureGlyphPacks)
+    async loadUnifont(url, {
+        prefer = false
+    } = {}) {
+        const res = await this._fetch(url);
+        if (!res.ok)
+            throw new Error('Failed to load ' + url);
+        const text = /\.zip$/i.test(url)
+             ? await this._readZipHex(await res.arrayBuffer())
+             : await res.text();
+
+        for (const line of text.split('\n')) {
+            const m = /^([0-9A-Fa-f]{4,6}):([0-9A-Fa-f]+)\s*$/.exec(line);
+            if (!m || (m[2].length !== 32 && m[2].length !== 64))
+                continue;
+            const cp = parseInt(m[1], 16);
+            this.hexGlyphs.set(cp, m[2]);
+            this.hexPages.add(this._pageKey(cp));
+        }
+        this.hexPrefer = prefer;
+        this.hexSources.push(url);
+        this.missingPages.clear(); // 이전에 없던 페이지도 다시 시도
+    }
+
+    // 페이지 하나(256자)를 16x16 타일 atlas로 그림
+    _buildHexAtlas(hi) {
+        const src = this._createCanvas(256, 256);
+        const ctx = src.getContext('2d', {
+            willReadFrequently: true
+        });
+        const img = ctx.createImageData(256, 256);
+        const base = parseInt(hi, 16) << 8;
+        for (let lo = 0; lo < 256; lo++) {
+            const hex = this.hexGlyphs.get(base | lo);
+            if (!hex)
+                continue;
+            const w = hex.length === 32 ? 8 : 16; // 한 줄 = w/4 hex 자리
+            const digits = w / 4;
+            const x0 = (lo % 16) * 16,
+            y0 = ((lo / 16) | 0) * 16;
+            for (let y = 0; y < 16; y++) {
+                const bits = parseInt(hex.substr(y * digits, digits), 16);
+                for (let x = 0; x < w; x++) {
+                    if (!(bits & (1 << (w - 1 - x))))
+                        continue;
+                    const p = ((y0 + y) * 256 + x0 + x) * 4;
+                    img.data[p] = img.data[p + 1] = img.data[p + 2] = img.data[p + 3] = 255;
+                }
+            }
+        }
+        ctx.putImageData(img, 0, 0);
+        return this._packFromCanvas(src, 16, 16, 'unifont', hi);
+    }
+
+    // zip 안의 *.hex 파일 내용을 이어붙여 반환 (stored / deflate)
+    async _readZipHex(buf) {
+        const dv = new DataView(buf);
+        let eocd = buf.byteLength - 22; // End of central directory
+        while (eocd >= 0 && dv.getUint32(eocd, true) !== 0x06054b50)
+            eocd--;
+        if (eocd < 0)
+            throw new Error('Invalid zip');
+
+        const decoder = new TextDecoder();
+        const count = dv.getUint16(eocd + 10, true);
+        let p = dv.getUint32(eocd + 16, true);
+        const texts = [];
+        for (let i = 0; i < count; i++) {
+            const method = dv.getUint16(p + 10, true);
+            const size = dv.getUint32(p + 20, true);
+            const nameLen = dv.getUint16(p + 28, true);
+            const local = dv.getUint32(p + 42, true);
+            const name = decoder.decode(new Uint8Array(buf, p + 46, nameLen));
+            p += 46 + nameLen + dv.getUint16(p + 30, true) + dv.getUint16(p + 32, true);
+            if (!/\.hex$/i.test(name))
+                continue;
+
+            const at = local + 30 + dv.getUint16(local + 26, true) + dv.getUint16(local + 28, true);
+            let bytes = new Uint8Array(buf, at, size);
+            if (method === 8) {
+                const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else if (method !== 0) {
+                throw new Error('Unsupported zip compression: ' + method);
+            }
+            texts.push(decoder.decode(bytes));
+        }
+        return texts.join('\n');
+    }
+
+    // ---------------------- Asset Loading ----------------------
+    // 'alt' / 'minecraft:alt' = 인챈트 테이블 문자(SGA)
+    _isAltFont(font) {
+        return font === 'alt' || font === 'minecraft:alt';
+    }
+
+    // ascii_sga.png: default8과 같은 8x8 atlas, 쉼표/따옴표 tweak 없이 자체 advance/vmet
+    async _ensureSga() {
+        if (!this.sga)
+            this.sga = await this._loadAtlas(`${this.basePath}/ascii_sga.png`, 8, 8, 'sga');
+    }
+
+    // 필요한 glyph 페이지 → Map(hi → pack), 없는 페이지는 빠짐
+    // layout은 이 Map을 쓰므로 그 사이 다른 renderer가 cache를 정리해도 안전
+    async _ensureGlyphPacks(set) {
+        const pages = new Map();
+        await Promise.all([...set].map(async hi => {
+                    const pack = await this._loadGlyphPage(hi);
+                    if (pack)
+                        pages.set(hi, pack);
+                }));
+        this.cache.evict(new Set(pages.values()));
+        return pages;
+    }
+
+    // 페이지 하나: PNG → 없으면 unifont → 그것도 없으면 기억해 두고 notfound로 대체
+    // cache key는 PNG URL / unifont 소스 + 페이지 (다른 renderer와 공유, 동시 요청은 로드 하나)
+    async _loadGlyphPage(hi) {
+        let pack = this.glyphs.get(hi);
+        if (pack) {
+            this.cache.touch(pack);
+            return pack;
+        }
+        if (this.missingPages.has(hi))
+            return null;
+
+        const hasHex = this.hexPages.has(hi);
+        if (!(hasHex && this.hexPrefer))
+            pack = await this.cache.load(`${this.basePath}/glyph_${hi}.png`, url => this._loadAtlas(url, 16, 16, 'glyph', hi));
+        if (!pack && hasHex)
+            pack = await this.cache.load(`${this.hexSources.join('+')}#${hi}`, () => this._buildHexAtlas(hi));
+        if (pack)
+            this.glyphs.set(hi, pack);
+        else
+            this.missingPages.add(hi);
+        return pack;
+    }
+
+    // cache가 정리한 페이지: 목록에서 지우고 GPU layer 반납
+    _releasePage(pack) {
+        for (const [hi, p] of this.glyphs)
+            if (p === pack)
+                this.glyphs.delete(hi);
+        this._releasePack(pack);
+    }
+
+    // 캔버스 backend와 drawWorld() context들의 GPU layer 반납
+    _releasePack(pack) {
+        this.backend?.releasePack?.(pack);
+        for (const backend of this.worldBackends.values())
+            backend.releasePack(pack);
+    }
+
+    // glyph 페이지 미리 로드 (첫 한글 메시지에서 멈칫하지 않게)
+    //   - input: 문자열(들어 있는 글자의 페이지) | [cp | [from, to], ...] 코드포인트 범위
+    //   - signal: AbortSignal, 중단하면 signal.reason으로 reject (시작한 페이지 로드는 끝까지 가서 cache에 남음)
+    //   - onProgress({ loaded, total, page, ok }): 페이지 하나 끝날 때마다
+    //   - concurrency: 동시에 로드할 페이지 수 (default 4)
+    // 반환: Promise<{ loaded, total, missing: [page] }>
+    async preload(input, {
+        signal = null,
+        onProgress = null,
+        concurrency = 4
+    } = {}) {
+        const set = new Set();
+        if (typeof input === 'string') {
+            for (const ch of input)
+                set.add(this._pageKey(ch.codePointAt(0)));
+        } else {
+            for (const r of input) {
+                const [from, to] = Array.isArray(r) ? r : [r, r];
+                for (let p = from >>> 8; p <= to >>> 8; p++)
+                    set.add(this._pageKey(p << 8));
+            }
+        }
+        signal?.throwIfAborted();
+
+        const queue = [...set];
+        const total = queue.length;
+        const missing = [];
+        let loaded = 0;
+        const worker = async() => {
+            while (queue.length) {
+                signal?.throwIfAborted();
+                const page = queue.shift();
+                const ok = !!(await this._loadGlyphPage(page));
+                signal?.throwIfAborted();
+                if (!ok)
+                    missing.push(page);
+                loaded++;
+                onProgress?.({
+                    loaded,
+                    total,
+                    page,
+                    ok
+                });
+            }
+        };
+        const work = Promise.all(Array.from({
+                    length: Math.min(concurrency, total)
+                }, worker));
+        work.catch(() => {}); // 중단 뒤 남은 worker의 reject
+        // 끝나면 listener를 떼어 냄 (오래 쓰는 signal 하나로 여러 번 preload()해도 쌓이지 않게)
+        let onAbort = null;
+        const aborted = new Promise((_, reject) => {
+            onAbort = () => reject(signal.reason);
+            signal?.addEventListener('abort', onAbort, {
+                once: true
+            });
+        });
+        try {
+            await Promise.race([work, aborted]);
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+        }
+        this.cache.evict();
+        return {
+            loaded,
+            total,
+            missing
+        };
+    }
+
+    // atlas: 패치 규칙의 atlas 이름, page: glyph 페이지 key (8x8 격자 atlas면 null)
+    async _loadAtlas(url, tileW, tileH, atlas, page = null) {
+        return this._packFromCanvas(await this._loadImageCanvas(url), tileW, tileH, atlas, page);
+    }
+
+    // 캔버스 → pack (패치 → 스캔/메트릭, 텍스처는 처음 그릴 때 생성)
+    _packFromCanvas(src, tileW, tileH, atlas = null, page = null) {
+        const patches = atlas ? this._patchTiles(atlas, page) : [];
+        const alternates = this._patchPixels(src, tileW, tileH, patches);
+        const scan = this._scanAlpha(src);
+        const adv = this._buildAdvance(scan, tileW, tileH);
+        const vmet = this._buildVerticalMetrics(scan, tileW, tileH);
+        for (const { rule, tiles } of patches)
+            if (rule.advance != null)
+                for (const idx of tiles)
+                    adv[idx] = rule.advance;
+        return {
+            src,
+            w: src.width,
+            h: src.height,
+            tileW,
+            tileH,
+            scan,
+            adv,
+            vmet,
+            alternates
+        };
+    }
+
+    // ---------------------- Platform ----------------------
+    // 브라우저 API는 여기서만 사용 (MCFontNode.js가 override)
+    _createCanvas(width, height) {
+        const c = document.createElement('canvas');
+        c.width = width;
+        c.height = height;
+        return c;
+    }
+
+    _fetch(url) {
+        return fetch(url);
+    }
+
+    // 이미지 로드 → 편집용 캔버스
+    async _loadImageCanvas(url) {
+        return this._imageCanvas(await this._loadImage(url));
+    }
+
+    // registerFont() 이미지 → 편집용 캔버스 (원본은 건드리지 않음)
+    async _sourceCanvas(source) {
+        if (typeof source === 'string')
+            return this._loadImageCanvas(source);
+        if (source instanceof ArrayBuffer || ArrayBuffer.isView(source) || source instanceof Blob)
+            return this._decodeImageCanvas(source);
+        return this._imageCanvas(source); // ImageBitmap, canvas, <img>
+    }
+
+    // 인코딩된 이미지(PNG 등) → 편집용 캔버스
+    async _decodeImageCanvas(bytes) {
+        const bitmap = await createImageBitmap(bytes instanceof Blob ? bytes : new Blob([bytes]));
+        try {
+            return this._imageCanvas(bitmap);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    // 편집용 캔버스에 복사
+    _imageCanvas(img) {
+        const src = this._createCanvas(img.width, img.height);
+        const ctx = src.getContext('2d', {
+            willReadFrequently: true
+        });
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(img, 0, 0);
+        return src;
+    }
+
+    _loadImage(url) {
+        return new Promise((res, rej) => {
+            const img = new Image();
+            img.onload = () => res(img);
+            img.onerror = () => rej(new Error('Failed to load ' + url));
+            img.src = url;
+        });
+    }
+
+    _scanAlpha(source) {
+        const cvs = this._createCanvas(source.width, source.height);
+        const ctx = cvs.getContext('2d', {
+            willReadFrequently: true
+        });
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(source, 0, 0);
+        const id = ctx.getImageData(0, 0, cvs.width, cvs.height).data;
+        const alpha = new Uint8Array(cvs.width * cvs.height);
+        for (let i = 0, p = 3; i < alpha.length; i++, p += 4)
+            alpha[i] = id[p];
+        return {
+            alpha,
+            width: cvs.width,
+            height: cvs.height
+        };
+    }
+
+    // ---------------------- Glyph Patches ----------------------
+    // patches.glyphs 규칙: { atlas, chars, rows, marginLeft, alternate, advance }
+    //   - atlas     : 'default8' | 'sga' | 'notfound' | 'glyph'(glyph_XX.png) | 'unifont' | registerFont() 이름
+    //   - chars     : 문자열 | [cp | [from, to], ...]
+    //   - rows      : { 행: dx } 행별 가로 이동 (타일 픽셀, 밀려난 픽셀은 버림)
+    //   - marginLeft: 왼쪽 여백이 n px보다 넓으면 타일 전체를 n px까지 당김
+    //   - alternate : 이름이 있으면 원본은 그대로 두고 pack.alternates[이름][타일]에 대체 타일로
+    //   - advance   : advance 덮어쓰기 (타일 픽셀, 글자 간격 1px 포함)
+    // 규칙은 순서대로 적용 (대체 타일은 앞 규칙까지 적용된 픽셀에서)
+
+    // 이 atlas에 해당하는 규칙 → [{ rule, tiles: [타일 번호] }]
+    _patchTiles(atlas, page) {
+        const out = [];
+        for (const rule of this.patches.glyphs || []) {
+            if (rule.atlas !== atlas && this._fontKey(rule.atlas) !== atlas)
+                continue;
+            const tiles = [];
+            for (const cp of this._codesOf(rule.chars))
+                if (page == null ? cp <= 0xFF : this._pageKey(cp) === page)
+                    tiles.push(cp & 0xFF);
+            if (tiles.length)
+                out.push({
+                    rule,
+                    tiles
+                });
+        }
+        return out;
+    }
+
+    // 문자열 | [cp | [from, to], ...] → 코드포인트
+    _codesOf(chars) {
+        if (typeof chars === 'string')
+            return [...chars].map(ch => ch.codePointAt(0));
+        const out = [];
+        for (const c of chars || []) {
+            const [from, to] = Array.isArray(c) ? c : [c, c];
+            for (let cp = from; cp <= to; cp++)
+                out.push(cp);
+        }
+        return out;
+    }
+
+    // rows/marginLeft 픽셀 패치 → 대체 타일 { 이름: { 타일: pack } }
+    _patchPixels(src, tileW, tileH, patches) {
+        const alternates = {};
+        if (!patches.some(p => p.rule.rows || p.rule.marginLeft != null))
+            return alternates;
+        const ctx = src.getContext('2d', {
+            willReadFrequently: true
+        });
+
+        for (const { rule, tiles } of patches) {
+            if (!rule.rows && rule.marginLeft == null)
+                continue;
+            for (const idx of tiles) {
+                const x0 = (idx % 16) * tileW,
+                y0 = ((idx / 16) | 0) * tileH;
+                const tile = ctx.getImageData(x0, y0, tileW, tileH);
+                const shifts = this._rowShifts(tile.data, tileW, tileH, rule);
+                if (!shifts)
+                    continue;
+                const out = this._shiftRows(ctx, tile, shifts);
+                if (!rule.alternate) {
+                    ctx.putImageData(out, x0, y0);
+                    continue;
+                }
+                const c = this._createCanvas(tileW, tileH);
+                c.getContext('2d', {
+                    willReadFrequently: true
+                }).putImageData(out, 0, 0);
+                (alternates[rule.alternate] ??= {})[idx] = {
+                    src: c,
+                    w: tileW,
+                    h: tileH,
+                    scan: this._scanAlpha(c)
+                };
+            }
+        }
+        return alternates;
+    }
+
+    // 규칙 → 행별 이동량 (바꿀 것이 없으면 null)
+    _rowShifts(data, tileW, tileH, rule) {
+        const shifts = new Array(tileH).fill(0);
+        let moved = false;
+        for (const [row, dx] of Object.entries(rule.rows || {})) {
+            if (row < tileH && dx) {
+                shifts[row] += dx;
+                moved = true;
+            }
+        }
+        if (rule.marginLeft != null) {
+            // 가장 왼쪽 불투명 열
+            let left = -1;
+            scan: for (let x = 0; x < tileW; x++) {
+                for (let y = 0; y < tileH; y++) {
+                    if (data[(y * tileW + x) * 4 + 3] > 0) {
+                        left = x;
+                        break scan;
+                    }
+                }
+            }
+            if (left > rule.marginLeft) {
+                for (let y = 0; y < tileH; y++)
+                    shifts[y] -= left - rule.marginLeft;
+                moved = true;
+            }
+        }
+        return moved ? shifts : null;
+    }
+
+    // 타일 ImageData의 행을 가로로 이동한 새 ImageData
+    _shiftRows(ctx, tile, shifts) {
+        const {
+            width,
+            height,
+            data: src
+        } = tile;
+        const out = ctx.createImageData(width, height);
+        const dst = out.data;
+        for (let y = 0; y < height; y++) {
+            const sh = shifts[y];
+            for (let x = 0; x < width; x++) {
+                const nx = x + sh;
+                if (nx < 0 || nx >= width)
+                    continue;
+                const si = (y * width + x) * 4,
+                di = (y * width + nx) * 4;
+                dst[di] = src[si];
+                dst[di + 1] = src[si + 1];
+                dst[di + 2] = src[si + 2];
+                dst[di + 3] = src[si + 3];
+            }
+        }
+        return out;
+    }
+
+    // ---------------------- Metrics Builders ----------------------
+    _buildAdvance(scan, tileW, tileH, grid = 16, rows = 16) {
+        const adv = new Uint16Array(grid * rows);
+
+        const colHasOpaque = (x, y0, y1) => {
+            const {
+                alpha,
+                width
+            } = scan;
+            for (let y = y0; y <= y1; y++)
+                if (alpha[y * width + x] > 0)
+                    return true;
+            return false;
+        };
+
+        for (let idx = 0; idx < adv.length; idx++) {
+            const cx = idx % grid,
+            cy = (idx / grid) | 0;
+            const x0 = cx * tileW,
+            x1 = x0 + tileW - 1;
+            const y0 = cy * tileH,
+            y1 = y0 + tileH - 1;
+
+            let left = x0,
+            right = x1;
+            for (; left <= x1; left++)
+                if (colHasOpaque(left, y0, y1))
+                    break;
+            for (; right >= x0; right--)
+                if (colHasOpaque(right, y0, y1))
+                    break;
+
+            if (right < left) {
+                adv[idx] = tileW;
+                continue;
+            } // 빈 타일
+            const visible = (right - left + 1);
+            adv[idx] = visible + 1; // +1 spacing
+        }
+        return adv;
+    }
+
+    _buildVerticalMetrics(scan, tileW, tileH) {
+        const grid = 16;
+        let sumCenter = 0,
+        count = 0;
+
+        for (let idx = 0; idx < 256; idx++) {
+            const cx = idx % grid,
+            cy = (idx / grid) | 0;
+            const x0 = cx * tileW,
+            x1 = x0 + tileW - 1;
+            const y0 = cy * tileH,
+            y1 = y0 + tileH - 1;
+
+            let top = -1,
+            bottom = -1;
+            outerTop: for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    if (scan.alpha[y * scan.width + x] > 0) {
+                        top = y;
+                        break outerTop;
+                    }
+                }
+            }
+            outerBottom: for (let y = y1; y >= y0; y--) {
+                for (let x = x0; x <= x1; x++) {
+                    if (scan.alpha[y * scan.width + x] > 0) {
+                        bottom = y;
+                        break outerBottom;
+                    }
+                }
+            }
+
+            if (top >= 0 && bottom >= 0) {
+                sumCenter += ((top + bottom) / 2 - y0);
+                count++;
+            }
+        }
+
+        const centerRow = count ? (sumCenter / count) : (tileH / 2);
+        return {
+            centerRow,
+            tileH
+        };
+    }
+
+    // ---------------------- Canvas Utils ----------------------
+    _resize() {
+        const w = this.canvas.clientWidth,
+        h = this.canvas.clientHeight;
+        const W = Math.round(w * this.DPR),
+        H = Math.round(h * this.DPR);
+        if (this.canvas.width !== W || this.canvas.height !== H) {
+            this.canvas.width = W;
+            this.canvas.height = H;
+        }
+        this.backend.resize(W, H);
+    }
+
+    _hexToRgb(hex) {
+        const n = hex.replace('#', '');
+        return [
+            parseInt(n.slice(0, 2), 16) / 255,
+            parseInt(n.slice(2, 4), 16) / 255,
+            parseInt(n.slice(4, 6), 16) / 255
+        ];
+    }
+}
+
+// §0~§f 색상표
+MCFontRenderer.LEGACY_COLORS = [
+    0x000000, 0x0000AA, 0x00AA00, 0x00AAAA, 0xAA0000, 0xAA00AA, 0xFFAA00, 0xAAAAAA,
+    0x555555, 0x5555FF, 0x55FF55, 0x55FFFF, 0xFF5555, 0xFF55FF, 0xFFFF55, 0xFFFFFF
+].map(n => [(n >> 16) / 255, ((n >> 8) & 0xFF) / 255, (n & 0xFF) / 255]);
+
+// draw() 배경색
+MCFontRenderer.DEFAULT_CLEAR = [0.05, 0.07, 0.10, 1];
+
+// JSON component 색상 이름 (LEGACY_COLORS와 같은 순서)
+MCFontRenderer.COLOR_NAMES = [
+    'black', 'dark_blue', 'dark_green', 'dark_aqua', 'dark_red', 'dark_purple', 'gold', 'gray',
+    'dark_gray', 'blue', 'green', 'aqua', 'red', 'light_purple', 'yellow', 'white'
+];
+
+// mode → fallback stack (fonts 옵션이 없을 때, 'auto'는 텍스트에 따라 default/glyph)
+MCFontRenderer.MODE_FONTS = {
+    default: ['default8'],
+    glyph: ['glyph'],
+    mixed: ['ascii', 'glyph'],
+    sga: ['sga', 'ascii', 'glyph']
+};
+
+// fonts 옵션의 내장 항목 이름
+MCFontRenderer.BUILTIN_FONTS = ['default8', 'ascii', 'sga', 'glyph'];
+
+// glyph 패치 기본값 (constructor의 patches): default8 쉼표/여는 따옴표, glyph_00 왼쪽 여백/따옴표 모양
+// 추가할 때는 { glyphs: [...MCFontRenderer.DEFAULT_PATCHES.glyphs, ...], kerning: { ... } }
+MCFontRenderer.DEFAULT_PATCHES = {
+    glyphs: [{
+            // 쉼표(,): 5·6행을 1px 오른쪽으로
+            atlas: 'default8',
+            chars: ',',
+            rows: {
+                5: 1,
+                6: 1
+            }
+        }, {
+            // 여는 따옴표 대체 타일: 0·1행 1px 왼쪽, 2행 1px 오른쪽
+            atlas: 'default8',
+            chars: '"\'',
+            rows: {
+                0: -1,
+                1: -1,
+                2: 1
+            },
+            alternate: 'open'
+        }, {
+            // glyph_00 ASCII(32~126): 왼쪽 여백 1px로
+            atlas: 'glyph',
+            chars: [[32, 126]],
+            marginLeft: 1
+        }, {
+            // glyph_00 따옴표(세로 막대, 타일의 2~5행) 여는 모양: 막대 윗행(row 2) 1px 왼쪽
+            atlas: 'glyph',
+            chars: '"\'',
+            rows: {
+                2: -1
+            },
+            alternate: 'open'
+        }, {
+            // 닫는 모양: 막대 아랫행(row 5) 1px 왼쪽
+            atlas: 'glyph',
+            chars: '"\'',
+            rows: {
+                5: -1
+            },
+            alternate: 'close'
+        }
+    ],
+    kerning: {}
+};
+
+// 따옴표 → [타일(" '), 모양(true 여는 / false 닫는 / null 앞 글자로 판단)]
+MCFontRenderer.QUOTES = {
+    0x22: [34, null],
+    0x27: [39, null],
+    0x201C: [34, true], // “
+    0x201D: [34, false], // ”
+    0x2018: [39, true], // ‘
+    0x2019: [39, false] // ’
+};
+
+// backend option 이름 → 구현 ('auto'는 이 순서대로 시도)
+MCFontRenderer.BACKENDS = {
+    webgl2: WebGL2Backend,
+    canvas2d: Canvas2DBackend
+};
@@ -0,0 +1,373 @@
+// MCFontNode.js
+// Node 전용 entry: 브라우저/GPU 없이 텍스트 → RGBA 버퍼 / PNG
+// - 폰트 PNG는 순수 JS로 디코드 (node:zlib만 사용, native 의존성 없음)
+// - 메트릭(_buildAdvance, _buildVerticalMetrics)/픽셀 tweak/layout은 MCFontRenderer 그대로
+// - 래스터화는 MCFontRenderer.render(): Canvas2DBackend와 같은 rasterize() (WebGL과 같은 픽셀)
+// - 결과는 텍스트 범위(그림자/외곽선/배경 판/italic 포함)로 잘라서 반환
+//
+// const r = new MCFontNodeRenderer({ basePath: './images/font' });
+// await r.init();
+// const png = await r.renderPNG('§aHello', { formatting: true, transparent: true });
+//
+// render(text | component, opts) → { data(straight RGBA), width, height, layout }
+// renderPNG(text | component, opts) → Buffer
+//   - opts는 draw() 옵션 + 아래
+//   - padding    : 가장자리 여백 (px, default 0)
+//   - clearColor : '#rrggbb' | [r, g, b, a] (default draw()와 같은 배경)
+//   - transparent: true면 투명 배경
+//
+// basePath/loadFont()/loadUnifont()의 경로는 파일 경로, file: URL, http(s) URL 모두 가능
+// registerFont()의 이미지는 PNG Buffer/ArrayBuffer/Blob 또는 PixelCanvas
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import zlib from 'node:zlib';
+import { MCFontRenderer } from './MCFont.js';
+
+export class MCFontNodeRenderer extends MCFontRenderer {
+    constructor(opts = {}) {
+        super({
+            ...opts,
+            canvas: null
+        });
+    }
+
+    // 캔버스/backend 없음: 폰트 데이터만 로드
+    async init() {
+        await this.load();
+    }
+
+    async renderPNG(text, opts = {}) {
+        const {
+            data,
+            width,
+            height
+        } = await this.render(text, opts);
+        return encodePNG(data, width, height);
+    }
+
+    // ---------------------- Platform ----------------------
+    _createCanvas(width, height) {
+        return new PixelCanvas(width, height);
+    }
+
+    async _fetch(url) {
+        if (/^https?:/i.test(url))
+            return fetch(url);
+        try {
+            return new Response(await readFile(url.startsWith('file:') ? fileURLToPath(url) : url));
+        } catch {
+            return new Response(null, {
+                status: 404
+            });
+        }
+    }
+
+    async _loadImageCanvas(url) {
+        const res = await this._fetch(url);
+        if (!res.ok)
+            throw new Error('Failed to load ' + url);
+        return this._decodeImageCanvas(await res.arrayBuffer());
+    }
+
+    // registerFont()의 Buffer/ArrayBuffer/Blob: PNG만
+    async _decodeImageCanvas(bytes) {
+        if (bytes instanceof Blob)
+            bytes = await bytes.arrayBuffer();
+        const {
+            data,
+            width,
+            height
+        } = decodePNG(ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) : new Uint8Array(bytes));
+        const c = new PixelCanvas(width, height);
+        c.data.set(data);
+        return c;
+    }
+}
+
+// ---------------------- PixelCanvas ----------------------
+// 브라우저 캔버스 대신 쓰는 RGBA 버퍼 (MCFontRenderer가 쓰는 2D API만)
+export class PixelCanvas {
+    constructor(width = 0, height = 0) {
+        this._width = width;
+        this._height = height;
+        this.data = new Uint8ClampedArray(width * height * 4);
+        this._ctx = null;
+    }
+
+    // 크기를 바꾸면 브라우저처럼 내용이 지워짐
+    get width() {
+        return this._width;
+    }
+
+    set width(w) {
+        this._width = w;
+        this.data = new Uint8ClampedArray(w * this._height * 4);
+    }
+
+    get height() {
+        return this._height;
+    }
+
+    set height(h) {
+        this._height = h;
+        this.data = new Uint8ClampedArray(this._width * h * 4);
+    }
+
+    getContext(type) {
+        if (type !== '2d')
+            return null;
+        return this._ctx || (this._ctx = new PixelContext(this));
+    }
+}
+
+class PixelContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.fillStyle = '#000000';
+        this.imageSmoothingEnabled = true; // 확대/축소를 하지 않으므로 의미 없음
+    }
+
+    createImageData(width, height) {
+        return {
+            data: new Uint8ClampedArray(width * height * 4),
+            width,
+            height
+        };
+    }
+
+    getImageData(x, y, width, height) {
+        const out = this.createImageData(width, height);
+        this._copy(this.canvas, x, y, out, 0, 0, width, height);
+        return out;
+    }
+
+    putImageData(img, x, y) {
+        this._copy(img, 0, 0, this.canvas, x, y, img.width, img.height);
+    }
+
+    // 합성 없이 복사 (렌더러는 빈 캔버스에 원본을 옮길 때만 사용)
+    drawImage(src, x = 0, y = 0) {
+        this._copy(src, 0, 0, this.canvas, x, y, src.width, src.height);
+    }
+
+    fillRect(x, y, width, height) {
+        const n = parseInt(String(this.fillStyle).replace('#', ''), 16) || 0;
+        const {
+            data,
+            width: W,
+            height: H
+        } = this.canvas;
+        for (let j = Math.max(0, y); j < Math.min(H, y + height); j++) {
+            for (let i = Math.max(0, x); i < Math.min(W, x + width); i++) {
+                const p = (j * W + i) * 4;
+                data[p] = n >> 16;
+                data[p + 1] = (n >> 8) & 0xFF;
+                data[p + 2] = n & 0xFF;
+                data[p + 3] = 255;
+            }
+        }
+    }
+
+    // { data, width, height } 사이 사각형 복사 (범위 밖은 잘라냄)
+    _copy(src, sx, sy, dst, dx, dy, width, height) {
+        for (let j = 0; j < height; j++) {
+            const ys = sy + j,
+            yd = dy + j;
+            if (ys < 0 || ys >= src.height || yd < 0 || yd >= dst.height)
+                continue;
+            for (let i = 0; i < width; i++) {
+                const xs = sx + i,
+                xd = dx + i;
+                if (xs < 0 || xs >= src.width || xd < 0 || xd >= dst.width)
+                    continue;
+                const ps = (ys * src.width + xs) * 4,
+                pd = (yd * dst.width + xd) * 4;
+                dst.data[pd] = src.data[ps];
+                dst.data[pd + 1] = src.data[ps + 1];
+                dst.data[pd + 2] = src.data[ps + 2];
+                dst.data[pd + 3] = src.data[ps + 3];
+            }
+        }
+    }
+}
+
+// ---------------------- PNG ----------------------
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// PNG → { data(straight RGBA), width, height }
+// 색 형식 0/2/3/4/6, 비트 깊이 1~16, tRNS 지원 (interlace 미지원)
+export function decodePNG(bytes) {
+    if (PNG_SIGNATURE.some((b, i) => bytes[i] !== b))
+        throw new Error('Not a PNG file');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let width = 0,
+    height = 0,
+    depth = 8,
+    type = 6,
+    interlace = 0;
+    let palette = null,
+    trns = null;
+    const idat = [];
+    for (let p = 8; p + 8 <= bytes.length; ) {
+        const len = view.getUint32(p);
+        const kind = String.fromCharCode(...bytes.subarray(p + 4, p + 8));
+        const body = bytes.subarray(p + 8, p + 8 + len);
+        p += 12 + len;
+        if (kind === 'IHDR') {
+            width = view.getUint32(body.byteOffset - bytes.byteOffset);
+            height = view.getUint32(body.byteOffset - bytes.byteOffset + 4);
+            depth = body[8];
+            type = body[9];
+            interlace = body[12];
+        } else if (kind === 'PLTE')
+            palette = body;
+        else if (kind === 'tRNS')
+            trns = body;
+        else if (kind === 'IDAT')
+            idat.push(body);
+        else if (kind === 'IEND')
+            break;
+    }
+    if (interlace)
+        throw new Error('Interlaced PNG not supported');
+
+    const channels = {
+        0: 1,
+        2: 3,
+        3: 1,
+        4: 2,
+        6: 4
+    }
+    [type];
+    if (!channels)
+        throw new Error('Unsupported PNG color type ' + type);
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = Math.ceil(width * channels * depth / 8);
+    const bpp = Math.max(1, channels * depth / 8); // filter 기준 바이트 수
+
+    // Unfilter (None/Sub/Up/Average/Paeth)
+    const pix = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        const f = raw[y * (stride + 1)];
+        const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = pix.subarray(y * stride, (y + 1) * stride);
+        const prev = y ? pix.subarray((y - 1) * stride, y * stride) : null;
+        for (let i = 0; i < stride; i++) {
+            const a = i >= bpp ? out[i - bpp] : 0,
+            b = prev ? prev[i] : 0,
+            c = prev && i >= bpp ? prev[i - bpp] : 0;
+            let v = row[i];
+            if (f === 1)
+                v += a;
+            else if (f === 2)
+                v += b;
+            else if (f === 3)
+                v += (a + b) >> 1;
+            else if (f === 4) {
+                const pa = Math.abs(b - c),
+                pb = Math.abs(a - c),
+                pc = Math.abs(a + b - 2 * c);
+                v += (pa <= pb && pa <= pc) ? a : pb <= pc ? b : c;
+            }
+            out[i] = v;
+        }
+    }
+
+    // 샘플 원래 값 (16비트는 16비트 그대로, tRNS 비교용)
+    const sample = (y, n) => {
+        const row = y * stride;
+        if (depth === 8)
+            return pix[row + n];
+        if (depth === 16)
+            return (pix[row + n * 2] << 8) | pix[row + n * 2 + 1];
+        const bit = n * depth;
+        return (pix[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+    };
+    const max = (1 << depth) - 1;
+    const to8 = (v) => depth === 8 ? v : Math.round(v * 255 / max);
+    const key = trns && (type === 0 || type === 2)
+         ? Array.from({
+            length: type === 0 ? 1 : 3
+        }, (_, k) => (trns[k * 2] << 8) | trns[k * 2 + 1])
+         : null;
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = (y * width + x) * 4,
+            n = x * channels;
+            if (type === 3) {
+                const idx = sample(y, n);
+                data[p] = palette[idx * 3];
+                data[p + 1] = palette[idx * 3 + 1];
+                data[p + 2] = palette[idx * 3 + 2];
+                data[p + 3] = trns && idx < trns.length ? trns[idx] : 255;
+                continue;
+            }
+            const s = [];
+            for (let k = 0; k < channels; k++)
+                s.push(sample(y, n + k));
+            const gray = type === 0 || type === 4;
+            data[p] = to8(s[0]);
+            data[p + 1] = to8(gray ? s[0] : s[1]);
+            data[p + 2] = to8(gray ? s[0] : s[2]);
+            if (type === 4 || type === 6)
+                data[p + 3] = to8(s[channels - 1]);
+            else
+                data[p + 3] = key && key.every((v, k) => v === s[k]) ? 0 : 255;
+        }
+    }
+    return {
+        data,
+        width,
+        height
+    };
+}
+
+// straight RGBA → PNG (8비트 RGBA, filter 없음)
+export function encodePNG(data, width, height) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++)
+        raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 6; // RGBA
+    return Buffer.concat([
+            Buffer.from(PNG_SIGNATURE),
+            pngChunk('IHDR', ihdr),
+            pngChunk('IDAT', zlib.deflateSync(raw)),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+}
+
+function pngChunk(kind, body) {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(body.length, 0);
+    head.write(kind, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+    return Buffer.concat([head, body, crc]);
+}
+
+let CRC_TABLE = null;
+function crc32(buf) {
+    if (!CRC_TABLE) {
+        CRC_TABLE = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++)
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            CRC_TABLE[n] = c >>> 0;
+        }
+    }
+    let c = 0xFFFFFFFF;
+    for (const b of buf)
+        c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
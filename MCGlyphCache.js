@@ -0,0 +1,136 @@
+// MCGlyphCache.js
+// glyph 페이지 cache: 여러 MCFontRenderer가 같이 쓰는 페이지(pack) 저장소
+// - key(페이지 URL 등) → pack, 같은 key를 동시에 요청하면 로드 하나를 같이 기다림
+// - 실패한 key는 기억해 두고 다시 요청하지 않음
+// - 메모리 예산(budget)을 넘으면 오래 안 쓴 페이지부터 정리(LRU)
+//   → subscribe()한 renderer가 GPU layer를 풀고(backend.releasePack) 자기 목록에서 지움
+//   → 캔버스/알파 스캔은 더 참조하는 곳(캐시된 layout 등)이 없으면 GC
+//   → 캐시된 layout(ChatLog, drawLayout() 등)이 정리된 페이지를 다시 그리면 revive()로 cache에 되돌림
+//     (GPU에 다시 올라간 pack도 예산에 잡히고 다시 정리됨), 아직 살아 있는 정리된 pack은 load()가 다시 로드하지 않고 씀
+//
+// const cache = new GlyphCache({ budget: 32 * 1024 * 1024 });
+// const a = new MCFontRenderer({ canvas: c1, cache });
+// const b = new MCFontRenderer({ canvas: c2, cache }); // 같은 페이지는 한 번만 로드
+//
+// constructor({ budget }): budget = 바이트 (default 48MB, 페이지 하나 256×256 ≈ 576KB)
+// load(key, loader) → Promise<pack | null>
+// get(key) / touch(pack) / revive(pack) / evict(keep) / subscribe(fn) → unsubscribe 함수
+// bytes: 지금 쓰는 양 (CPU 캔버스 RGBA + 알파 스캔 + GPU layer RGBA 추정)
+
+export class GlyphCache {
+    constructor({
+        budget = 48 * 1024 * 1024
+    } = {}) {
+        this.budget = budget;
+        this.bytes = 0;
+
+        // key → { pack, bytes }, Map 순서 = 최근 사용 순서(앞이 가장 오래됨)
+        this.pages = new Map();
+        this.missing = new Set(); // 로드 실패한 key
+        this._inflight = new Map(); // key → Promise
+        this._keyOf = new Map(); // pack → key
+        this._evicted = new Map(); // 정리된 key → WeakRef(pack) (캐시된 layout이 잡고 있으면 살아 있음)
+        this._evictedKey = new WeakMap(); // 정리된 pack → key
+        this._listeners = new Set();
+    }
+
+    get(key) {
+        return this.pages.get(key)?.pack ?? null;
+    }
+
+    // 최근 사용으로 표시 (LRU 순서 맨 뒤로)
+    touch(pack) {
+        const key = this._keyOf.get(pack);
+        if (key == null)
+            return;
+        const entry = this.pages.get(key);
+        this.pages.delete(key);
+        this.pages.set(key, entry);
+    }
+
+    // 그리려는 pack: cache에 있으면 최근 사용으로, 정리된 페이지면 cache에 다시 넣음
+    // (그 key가 다른 pack으로 다시 로드됐으면 아무것도 안 함)
+    revive(pack) {
+        if (this._keyOf.has(pack)) {
+            this.touch(pack);
+            return;
+        }
+        const key = this._evictedKey.get(pack);
+        if (key == null || this.pages.has(key))
+            return;
+        this._evicted.delete(key);
+        this._evictedKey.delete(pack);
+        this._add(key, pack);
+    }
+
+    // 있으면 바로, 로드 중이면 그 로드를, 없으면 loader(key)로 로드 (실패하면 null)
+    // 정리됐지만 아직 살아 있는 pack은 다시 로드하지 않고 되돌림 (같은 페이지가 두 벌 생기지 않게)
+    load(key, loader) {
+        const pack = this.get(key);
+        if (pack) {
+            this.touch(pack);
+            return Promise.resolve(pack);
+        }
+        const old = this._evicted.get(key)?.deref();
+        this._evicted.delete(key);
+        if (old) {
+            this._evictedKey.delete(old);
+            this._add(key, old);
+            return Promise.resolve(old);
+        }
+        if (this.missing.has(key))
+            return Promise.resolve(null);
+        if (this._inflight.has(key))
+            return this._inflight.get(key);
+
+        const job = (async() => {
+            try {
+                const pack = await loader(key);
+                if (!pack)
+                    throw new Error('Empty page ' + key);
+                this._add(key, pack);
+                return pack;
+            } catch (e) {
+                this.missing.add(key);
+                return null;
+            } finally {
+                this._inflight.delete(key);
+            }
+        })();
+        this._inflight.set(key, job);
+        return job;
+    }
+
+    _add(key, pack) {
+        const bytes = pack.w * pack.h * 9; // RGBA 캔버스 4 + 알파 스캔 1 + GPU RGBA 4
+        this.pages.set(key, {
+            pack,
+            bytes
+        });
+        this._keyOf.set(pack, key);
+        this.bytes += bytes;
+    }
+
+    // 예산을 넘은 만큼 오래된 페이지부터 정리 (keep: 지금 쓰는 pack Set)
+    evict(keep = null) {
+        for (const [key, entry] of this.pages) {
+            if (this.bytes <= this.budget)
+                break;
+            if (keep?.has(entry.pack))
+                continue;
+            this.pages.delete(key);
+            this._keyOf.delete(entry.pack);
+            this._evicted.set(key, new WeakRef(entry.pack));
+            this._evictedKey.set(entry.pack, key);
+            this.bytes -= entry.bytes;
+            for (const fn of this._listeners)
+                fn(entry.pack, key);
+        }
+    }
+
+    // fn(pack, key): 페이지가 정리될 때
+    subscribe(fn) {
+        this._listeners.add(fn);
+        return () => this._listeners.delete(fn);
+    }
+}
@@ -0,0 +1,16 @@
+// MCLayoutUtils.js
+// layout() 결과를 다시 쓰는 컴포넌트(MCAnimatedText, MCTextField) 공용 도우미
+
+// 정렬된 배열에서 v보다 큰 첫 위치 (글자 시작 위치 목록에서 quad index가 속한 글자 찾기)
+export function upperBound(arr, v) {
+    let lo = 0,
+    hi = arr.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (arr[mid] <= v)
+            lo = mid + 1;
+        else
+            hi = mid;
+    }
+    return lo;
+}
@@ -0,0 +1,176 @@
+// MCTextElement.js
+// <mc-text> custom element: 라벨마다 캔버스/init()/draw()를 직접 관리하지 않아도 되게
+// - 속성 color / scale / align / mode / shadow → draw() 옵션
+// - 글자 내용이나 속성이 바뀌면 다시 렌더 (변경 여러 번 → 한 번), 크기는 측정한 텍스트 크기
+// - 모든 <mc-text>가 renderer 하나(폰트/glyph 페이지 캐시)를 공유
+//   GL context 없이 render()(소프트웨어 래스터) → 요소마다 2D 캔버스에 putImageData
+// - 원래 글자는 DOM에 그대로: 로드 전/실패 시 보이는 fallback, 렌더 후에는 투명하게 겹쳐서
+//   스크린 리더/텍스트 선택/복사용 (캔버스는 aria-hidden)
+//
+// <script type="module">
+//   import { MCTextElement } from './MCTextElement.js';
+//   MCTextElement.configure({ basePath: './images/font' }); // 첫 렌더 전에 (선택)
+// </script>
+// <mc-text color="#ffff55" scale="3" shadow="false">Hello 안녕</mc-text>
+//
+// 속성:
+//   - color : '#rrggbb' (default '#ffffff')
+//   - scale : CSS px 배율 (default 2, devicePixelRatio를 곱해 정수로 반올림한 캔버스 배율 → 글자 픽셀이 기기 픽셀에 딱 맞음)
+//   - align : 'left' | 'center' | 'right' | 'start' | 'end' (<br>로 여러 줄일 때)
+//   - mode  : 'auto' | 'mixed' | 'default' | 'glyph' | 'sga'
+//   - shadow: 'false' | 'off'면 그림자 없음 (default 있음)
+//
+// 렌더 실패(폰트 로드 등) → 요소에 'error' 이벤트 (ErrorEvent, event.error), 원래 글자가 그대로 보임
+//
+// MCTextElement.configure(options): 공유 renderer 옵션 (MCFontRenderer constructor와 같음, canvas 제외)
+// MCTextElement.renderer: 공유 renderer (loadFont() 등을 직접 호출할 때)
+
+import { MCFontRenderer } from './MCFont.js';
+
+const STYLE = `
+:host { display: inline-block; position: relative; vertical-align: middle; }
+canvas { display: none; image-rendering: pixelated; }
+.rendered canvas { display: block; }
+.rendered .text {
+    position: absolute; inset: 0; overflow: hidden;
+    color: transparent; white-space: nowrap; font-family: monospace;
+}`;
+
+// 공유 renderer (처음 렌더할 때 생성, load()는 한 번만)
+let sharedOptions = {};
+let shared = null;
+let sharedReady = null;
+
+export class MCTextElement extends HTMLElement {
+    static configure(options = {}) {
+        if (shared)
+            throw new Error('MCTextElement.configure() must be called before the first <mc-text> renders');
+        sharedOptions = options;
+    }
+
+    static get renderer() {
+        if (!shared) {
+            shared = new MCFontRenderer({
+                ...sharedOptions,
+                canvas: null
+            });
+            sharedReady = shared.load();
+        }
+        return shared;
+    }
+
+    constructor() {
+        super();
+        const root = this.attachShadow({
+            mode: 'open'
+        });
+        root.innerHTML = `<style>${STYLE}</style><div class="box"><canvas aria-hidden="true"></canvas><span class="text"><slot></slot></span></div>`;
+        this._box = root.querySelector('.box');
+        this._canvas = root.querySelector('canvas');
+        this._text = root.querySelector('.text');
+        this._observer = new MutationObserver(() => this._schedule());
+        this._queued = false;
+        this._version = 0; // 늦게 끝난 이전 렌더는 버림
+    }
+
+    connectedCallback() {
+        this._observer.observe(this, {
+            childList: true,
+            characterData: true,
+            subtree: true
+        });
+        this._schedule();
+    }
+
+    disconnectedCallback() {
+        this._observer.disconnect();
+    }
+
+    attributeChangedCallback() {
+        this._schedule();
+    }
+
+    // 연달아 바뀌어도 한 번만 렌더
+    _schedule() {
+        if (this._queued || !this.isConnected)
+            return;
+        this._queued = true;
+        queueMicrotask(() => {
+            this._queued = false;
+            this._render().catch(err => {
+                this._box.classList.remove('rendered');
+                this.dispatchEvent(new ErrorEvent('error', {
+                        error: err,
+                        message: String(err?.message ?? err)
+                    }));
+            });
+        });
+    }
+
+    // 속성 → draw() 옵션 (scale은 캔버스 px 기준이라 DPR을 곱하고, 픽셀 폰트가 번지지 않게 정수로)
+    _options(dpr) {
+        const opts = {
+            scale: Math.max(1, Math.round((parseFloat(this.getAttribute('scale')) || 2) * dpr)),
+            transparent: true
+        };
+        for (const name of['color', 'align', 'mode'])
+            if (this.hasAttribute(name))
+                opts[name] = this.getAttribute(name);
+        opts.shadow = !/^(false|off|0)$/i.test(this.getAttribute('shadow') ?? '');
+        return opts;
+    }
+
+    // 글자 내용: HTML처럼 공백은 하나로, <br>은 줄바꿈
+    _textContent() {
+        let out = '';
+        const walk = (node) => {
+            for (const n of node.childNodes) {
+                if (n.nodeType === Node.TEXT_NODE)
+                    out += n.data.replace(/\n/g, ' ');
+                else if (n.nodeName === 'BR')
+                    out += '\n';
+                else
+                    walk(n);
+            }
+        };
+        walk(this);
+        return out.split('\n').map(l => l.replace(/\s+/g, ' ').trim()).join('\n');
+    }
+
+    async _render() {
+        const version = ++this._version;
+        const r = MCTextElement.renderer;
+        await sharedReady;
+
+        // 캔버스 px 하나 = 기기 픽셀 하나 (renderer.DPR처럼 2로 자르지 않음)
+        const dpr = globalThis.devicePixelRatio || 1;
+        const text = this._textContent();
+        const opts = this._options(dpr);
+        const {
+            data,
+            width,
+            height,
+            layout
+        } = await r.render(text, opts);
+        if (version !== this._version)
+            return;
+
+        const canvas = this._canvas;
+        canvas.width = width;
+        canvas.height = height;
+        canvas.style.width = `${width / dpr}px`;
+        canvas.style.height = `${height / dpr}px`;
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+
+        // 투명하게 겹친 원래 글자: 줄 높이를 맞춰 선택 영역이 대략 글자 위에 오도록
+        const lineH = (layout.lines[0]?.height ?? height) / dpr;
+        this._text.style.fontSize = `${lineH * 0.75}px`;
+        this._text.style.lineHeight = `${lineH}px`;
+        this._box.classList.add('rendered');
+    }
+}
+
+MCTextElement.observedAttributes = ['color', 'scale', 'align', 'mode', 'shadow'];
+
+if (!customElements.get('mc-text'))
+    customElements.define('mc-text', MCTextElement);
@@ -0,0 +1,502 @@
+// MCTextField.js
+// 캔버스 안 입력창: MCFontRenderer로 그린 글자 그대로 편집 (표지판/모루 이름/채팅 입력)
+// - 글자 위치 ↔ pen x: draw()와 같은 layout의 chars(advance/mixed 여백 포함)로 계산
+// - 깜빡이는 caret(바닐라 300ms), 선택 영역 highlight, 넘치면 caret 따라 가로 스크롤
+// - 키보드: ←/→(Ctrl: 단어, Shift: 선택), Home/End, Backspace/Delete(Ctrl: 단어), Ctrl+A, Enter
+// - 클립보드: 숨긴 <input>의 copy/cut/paste 이벤트
+// - IME: 숨긴 <input>의 composition 이벤트 → 조합 중인 글자(한글 등)를 caret 자리에 밑줄과 함께 표시
+// - caret/선택 이동은 grapheme cluster 단위, maxLength는 UTF-16 길이(바닐라와 같음)
+//
+// constructor(renderer, options):
+//   - x, y          : 입력창 왼쪽 위 (캔버스 px, default 0, 0)
+//   - width         : 글자 영역 폭, px × scale (default 200)
+//   - scale         : number (default 2)
+//   - padding       : 테두리 안쪽 여백, px × scale (default 2)
+//   - value         : 처음 값 (default '')
+//   - maxLength     : 최대 길이 (default 256)
+//   - filter        : (text) => text, 입력/붙여넣기 글자 거르기 (default 제어 문자/§ 제거)
+//   - bordered      : 바닐라 테두리(포커스 흰색/아니면 회색) + 검은 배경 (default true)
+//   - selectionColor: [r, g, b, a] (default [0, 0, 1, 0.5])
+//   - caretColor    : [r, g, b, a] (default [0.816, 0.816, 0.816, 1])
+//   - onChange(value) / onSubmit(value): 값이 바뀔 때 / Enter
+//   - 나머지(mode, font, color, shadow, ...)는 draw() 옵션과 같이 layout/drawLayout에 전달
+//
+// setValue(value) / insert(text) / selectAll() / moveCaret(index, extend) / focus() / blur()
+// xOfIndex(index) / indexAtX(x): 글자 위치 ↔ 글자 영역 왼쪽 기준 px (layout이 끝난 뒤)
+// attach(canvas) → detach 함수: 마우스(클릭/드래그 선택) + 숨긴 <input>(키보드/클립보드/IME)
+// render(now) → Promise: 진행 중인 beginFrame()이 있으면 거기에 추가, 없으면 투명 frame 하나로 렌더
+
+import { upperBound } from './MCLayoutUtils.js';
+
+export class TextField {
+    constructor(renderer, {
+        x = 0,
+        y = 0,
+        width = 200,
+        scale = 2,
+        padding = 2,
+        value = '',
+        maxLength = 256,
+        filter = (text) => text.replace(/[\u0000-\u001f\u007f§]/g, ''),
+        bordered = true,
+        selectionColor = [0, 0, 1, 0.5],
+        caretColor = [0.816, 0.816, 0.816, 1],
+        onChange = null,
+        onSubmit = null,
+        ...textOpts
+    } = {}) {
+        this.renderer = renderer;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.scale = scale;
+        this.padding = padding;
+        this.maxLength = maxLength;
+        this.filter = filter;
+        this.bordered = bordered;
+        this.selectionColor = selectionColor;
+        this.caretColor = caretColor;
+        this.onChange = onChange;
+        this.onSubmit = onSubmit;
+        this.textOpts = textOpts;
+
+        this.value = this._fit(String(value), maxLength);
+        this.caret = this.value.length;
+        this.anchor = this.caret; // 선택 시작점 (anchor === caret이면 선택 없음)
+        this.composition = ''; // IME 조합 중인 글자
+        this.focused = false;
+        this.input = null; // attach()가 만든 숨긴 <input>
+
+        this._layout = null; // 화면에 보이는 글자(value + 조합 중 글자)의 layout
+        this._scroll = 0; // 가로 스크롤 (layout px)
+        this._blinkStart = 0;
+        this._pending = new Set();
+        this._relayout();
+    }
+
+    // ------------------------- Value -------------------------
+    // 입력과 같이 filter, maxLength 적용
+    setValue(value) {
+        this.value = this._fit(String(value), this.maxLength);
+        this.caret = this.anchor = this.value.length;
+        this._changed();
+    }
+
+    get selectionStart() {
+        return Math.min(this.caret, this.anchor);
+    }
+
+    get selectionEnd() {
+        return Math.max(this.caret, this.anchor);
+    }
+
+    get selectedText() {
+        return this.value.slice(this.selectionStart, this.selectionEnd);
+    }
+
+    // 선택 영역을 text로 바꿈 (filter, maxLength 적용)
+    insert(text) {
+        const start = this.selectionStart,
+        end = this.selectionEnd;
+        const room = this.maxLength - (this.value.length - (end - start));
+        const add = this._fit(text, room);
+        if (!add && start === end)
+            return;
+        this.value = this.value.slice(0, start) + add + this.value.slice(end);
+        this.caret = this.anchor = start + add.length;
+        this._changed();
+    }
+
+    // filter → room(UTF-16 길이)까지 자름 (서로게이트 쌍 중간에서 자르지 않음)
+    _fit(text, room) {
+        let out = this.filter(text);
+        if (out.length > room) {
+            out = out.slice(0, Math.max(0, room));
+            if (/[\ud800-\udbff]$/.test(out))
+                out = out.slice(0, -1);
+        }
+        return out;
+    }
+
+    // 선택이 있으면 선택을, 없으면 caret에서 dir(-1 | 1) 방향으로 한 글자(word면 한 단어) 지움
+    deleteBy(dir, word = false) {
+        if (this.caret === this.anchor)
+            this.anchor = word ? this._wordFrom(this.caret, dir) : this._clusterFrom(this.caret, dir);
+        this.insert('');
+    }
+
+    selectAll() {
+        this.anchor = 0;
+        this.caret = this.value.length;
+        this._activity();
+    }
+
+    moveCaret(index, extend = false) {
+        this.caret = Math.max(0, Math.min(this.value.length, index));
+        if (!extend)
+            this.anchor = this.caret;
+        this._activity();
+    }
+
+    _changed() {
+        this._relayout();
+        this._activity();
+        this.onChange?.(this.value);
+    }
+
+    // 보이는 글자가 바뀌면 다시 배치 (늦게 끝난 이전 배치는 버림)
+    // 실패하면(load() 전에 만든 필드 등) 이전 배치 그대로, render()가 다시 시도
+    _relayout() {
+        const shown = this._display();
+        this._track(this.renderer.layout(shown, {
+                ...this.textOpts,
+                scale: this.scale,
+                align: 'left',
+                maxWidth: 0
+            }).then(layout => {
+                if (this._display() === shown)
+                    this._layout = layout;
+            }, () => {}));
+    }
+
+    _track(job) {
+        this._pending.add(job);
+        const done = () => this._pending.delete(job);
+        job.then(done, done);
+        return job;
+    }
+
+    // 입력/이동이 있으면 caret을 바로 보이게
+    _activity() {
+        this._blinkStart = performance.now();
+        this._placeInput();
+    }
+
+    // 보이는 글자: 조합 중인 글자는 caret 자리에 끼워 넣음
+    _display() {
+        return this.value.slice(0, this.caret) + this.composition + this.value.slice(this.caret);
+    }
+
+    // ------------------------- Positions -------------------------
+    // 글자 위치(보이는 글자 기준) → 글자 영역 왼쪽 기준 pen x
+    xOfIndex(index) {
+        const line = this._layout?.lines[0];
+        if (!line)
+            return 0;
+        const c = line.chars.find(c => c.index >= index);
+        return c ? c.x : line.width;
+    }
+
+    // 글자 영역 왼쪽 기준 x → 가장 가까운 글자 경계
+    indexAtX(x) {
+        const line = this._layout?.lines[0];
+        if (!line)
+            return 0;
+        for (const c of line.chars)
+            if (x < c.x + c.w / 2)
+                return c.index;
+        return this._layout.text.length;
+    }
+
+    // caret에서 dir 방향 다음 grapheme cluster 경계
+    _clusterFrom(index, dir) {
+        const ends = this.renderer._clusterEnds(this.value);
+        let i = index + dir;
+        while (i > 0 && i < this.value.length && ends[i] < 0)
+            i += dir;
+        return Math.max(0, Math.min(this.value.length, i));
+    }
+
+    // 바닐라 단어 이동: 공백을 건너뛰고 다음 공백까지
+    _wordFrom(index, dir) {
+        const v = this.value;
+        let i = index;
+        if (dir < 0) {
+            while (i > 0 && v[i - 1] === ' ')
+                i--;
+            while (i > 0 && v[i - 1] !== ' ')
+                i--;
+        } else {
+            while (i < v.length && v[i] === ' ')
+                i++;
+            while (i < v.length && v[i] !== ' ')
+                i++;
+        }
+        return i;
+    }
+
+    // ------------------------- Input -------------------------
+    focus() {
+        this.focused = true;
+        this.input?.focus({
+            preventScroll: true
+        });
+        this._activity();
+    }
+
+    blur() {
+        this.focused = false;
+        this.anchor = this.caret;
+        this.input?.blur();
+    }
+
+    // 키 입력: 처리했으면 true
+    handleKey(e) {
+        const ctrl = e.ctrlKey || e.metaKey;
+        switch (e.key) {
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+                const dir = e.key === 'ArrowLeft' ? -1 : 1;
+                if (!e.shiftKey && this.caret !== this.anchor && !ctrl)
+                    this.moveCaret(dir < 0 ? this.selectionStart : this.selectionEnd);
+                else
+                    this.moveCaret(ctrl ? this._wordFrom(this.caret, dir) : this._clusterFrom(this.caret, dir), e.shiftKey);
+                return true;
+            }
+        case 'Home':
+            this.moveCaret(0, e.shiftKey);
+            return true;
+        case 'End':
+            this.moveCaret(this.value.length, e.shiftKey);
+            return true;
+        case 'Backspace':
+            this.deleteBy(-1, ctrl);
+            return true;
+        case 'Delete':
+            this.deleteBy(1, ctrl);
+            return true;
+        case 'Enter':
+            this.onSubmit?.(this.value);
+            return true;
+        }
+        if (ctrl && e.key.toLowerCase() === 'a') {
+            this.selectAll();
+            return true;
+        }
+        return false;
+    }
+
+    // 마우스 + 숨긴 <input> 연결 (canvas 기준 좌표)
+    attach(canvas) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        Object.assign(input.style, {
+            position: 'fixed',
+            left: '0px',
+            top: '0px',
+            width: '1px',
+            height: '1px',
+            opacity: '0',
+            pointerEvents: 'none'
+        });
+        document.body.appendChild(input);
+        this.input = input;
+        this._canvas = canvas;
+
+        const listeners = [];
+        const on = (target, type, fn) => {
+            target.addEventListener(type, fn);
+            listeners.push(() => target.removeEventListener(type, fn));
+        };
+
+        // 키보드 (조합 중인 키는 IME에 맡김)
+        on(input, 'keydown', (e) => {
+            if (e.isComposing || e.keyCode === 229)
+                return;
+            if (this.handleKey(e))
+                e.preventDefault();
+        });
+        on(input, 'input', (e) => {
+            if (e.isComposing || this.composition)
+                return;
+            this.insert(input.value);
+            input.value = '';
+        });
+
+        // IME: 조합 중인 글자는 value에 넣지 않고 caret 자리에 표시만
+        on(input, 'compositionstart', () => {
+            if (this.caret !== this.anchor)
+                this.insert('');
+        });
+        on(input, 'compositionupdate', (e) => {
+            this.composition = e.data ?? '';
+            this._relayout();
+            this._activity();
+        });
+        on(input, 'compositionend', (e) => {
+            this.composition = '';
+            input.value = '';
+            this._relayout();
+            this.insert(e.data ?? '');
+        });
+
+        // 클립보드
+        on(input, 'copy', (e) => {
+            e.clipboardData.setData('text/plain', this.selectedText);
+            e.preventDefault();
+        });
+        on(input, 'cut', (e) => {
+            e.clipboardData.setData('text/plain', this.selectedText);
+            this.insert('');
+            e.preventDefault();
+        });
+        on(input, 'paste', (e) => {
+            this.insert(e.clipboardData.getData('text/plain'));
+            e.preventDefault();
+        });
+        on(input, 'blur', () => {
+            this.focused = false;
+        });
+
+        // 마우스: 입력창 안 클릭 → 포커스 + caret, 드래그 → 선택, 밖 클릭 → 포커스 해제
+        let dragging = false;
+        const toIndex = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const cx = (e.clientX - rect.left) * canvas.width / rect.width;
+            const cy = (e.clientY - rect.top) * canvas.height / rect.height;
+            const inside = cx >= this.x && cx < this.x + this._outerWidth() && cy >= this.y && cy < this.y + this._outerHeight();
+            return {
+                inside,
+                index: this.indexAtX(cx - this.x - this._pad() + this._scroll)
+            };
+        };
+        on(canvas, 'mousedown', (e) => {
+            const {
+                inside,
+                index
+            } = toIndex(e);
+            if (!inside) {
+                if (this.focused)
+                    this.blur();
+                return;
+            }
+            e.preventDefault(); // 캔버스가 포커스를 가져가지 않게
+            this.focus();
+            if (!this.composition)
+                this.moveCaret(index, e.shiftKey);
+            dragging = true;
+        });
+        on(window, 'mousemove', (e) => {
+            if (dragging && !this.composition)
+                this.moveCaret(toIndex(e).index, true);
+        });
+        on(window, 'mouseup', () => {
+            dragging = false;
+        });
+
+        return () => {
+            listeners.forEach(off => off());
+            input.remove();
+            this.input = null;
+            this._canvas = null;
+        };
+    }
+
+    // IME 후보창이 caret 근처에 뜨도록 숨긴 <input>을 옮김
+    _placeInput() {
+        if (!this.input || !this._canvas)
+            return;
+        const rect = this._canvas.getBoundingClientRect();
+        const x = this.x + this._pad() + this.xOfIndex(this.caret + this.composition.length) - this._scroll;
+        const y = this.y + this._outerHeight();
+        this.input.style.left = `${rect.left + x * rect.width / this._canvas.width}px`;
+        this.input.style.top = `${rect.top + y * rect.height / this._canvas.height}px`;
+    }
+
+    // ------------------------- Render -------------------------
+    async render(now = performance.now()) {
+        await Promise.all(this._pending);
+        if (!this._layout) {
+            // 아직 배치가 없으면 한 번 더, 그래도 없으면 그리지 않음
+            this._relayout();
+            await Promise.all(this._pending);
+            if (!this._layout)
+                return;
+        }
+
+        const r = this.renderer;
+        const own = !r._frame;
+        if (own)
+            r.beginFrame({
+                transparent: true
+            });
+
+        const layout = this._layout;
+        const line = layout.lines[0];
+        const s = this.scale;
+        const pad = this._pad();
+        const innerW = Math.round(this.width * s);
+        const outerW = this._outerWidth(),
+        outerH = this._outerHeight();
+
+        // 바닐라 EditBox: 1px 테두리 + 검은 배경
+        if (this.bordered) {
+            const b = Math.max(1, Math.round(s / 2));
+            r.fillRect(this.x - b, this.y - b, outerW + b * 2, outerH + b * 2, this.focused ? [1, 1, 1, 1] : [0.627, 0.627, 0.627, 1]);
+            r.fillRect(this.x, this.y, outerW, outerH, [0, 0, 0, 1]);
+        }
+
+        // caret이 보이도록 스크롤, 다 들어가는 글자만 그림
+        const caretIndex = this.caret + this.composition.length;
+        const caretX = this.xOfIndex(caretIndex);
+        if (caretX < this._scroll)
+            this._scroll = caretX;
+        else if (caretX > this._scroll + innerW)
+            this._scroll = caretX - innerW;
+        this._scroll = Math.max(0, Math.min(this._scroll, Math.max(0, line.width - innerW)));
+
+        const left = this._scroll,
+        right = this._scroll + innerW;
+        const shown = new Set(line.chars.filter(c => c.x >= left && c.x + c.w <= right + 1e-6).map(c => c.index));
+        const starts = line.chars.map(c => c.index).sort((a, b) => a - b);
+        const tx = this.x + pad - left,
+        ty = this.y + pad;
+        r.drawLayout({
+            lines: layout.lines,
+            quads: layout.quads.filter(q => shown.has(starts[Math.max(0, upperBound(starts, q.index) - 1)]))
+        }, {
+            ...this.textOpts,
+            x: tx,
+            y: ty,
+            scale: s
+        });
+
+        const clip = (x0, x1) => [Math.max(left, x0), Math.min(right, x1)];
+        const thick = Math.max(1, Math.round(s));
+
+        // 조합 중인 글자: 밑줄
+        if (this.composition) {
+            const [x0, x1] = clip(this.xOfIndex(this.caret), caretX);
+            if (x1 > x0)
+                r.fillRect(tx + x0, ty + line.height - thick, x1 - x0, thick, this.caretColor);
+        }
+
+        // 선택 영역
+        if (this.focused && this.caret !== this.anchor) {
+            const [x0, x1] = clip(this.xOfIndex(this.selectionStart), this.xOfIndex(this.selectionEnd));
+            if (x1 > x0)
+                r.fillRect(tx + x0, ty, x1 - x0, line.height, this.selectionColor);
+        }
+
+        // caret: 300ms 켜짐/꺼짐
+        if (this.focused && (now - this._blinkStart) % 600 < 300 && caretX >= left && caretX <= right)
+            r.fillRect(tx + caretX, ty, thick, line.height, this.caretColor);
+
+        if (own)
+            await r.endFrame();
+    }
+
+    _pad() {
+        return Math.round(this.padding * this.scale);
+    }
+
+    _outerWidth() {
+        return Math.round(this.width * this.scale) + this._pad() * 2;
+    }
+
+    _outerHeight() {
+        return (this._layout?.lines[0]?.height ?? Math.round(16 * this.scale)) + this._pad() * 2;
+    }
+}